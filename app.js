@@ -4,50 +4,105 @@ document.documentElement.classList.add("js-ok");
  * Minimal Drawer UI:
  * - Buscar recetas
  * - Lista de recetas (todas)
- * - Filtro: solo favoritas
+ * - Filtro: solo favoritas y por etiqueta (categoría + etiquetas por receta)
+ * - Papelera (recetas eliminadas, restaurables)
  *
  * (Se eliminó todo lo asociado a carpetas y respaldo)
  */
 
-const CURRENT_RECIPE_KEY = "dessert_current_recipe_v2";
-const ROWS_KEY_PREFIX    = "dessert_rows__v2__";
-const ING_CACHE_KEY      = "dessert_ingredient_cache_v2";
-const MARGIN_KEY         = "dessert_margin_pct_v2";
-const CLEAN_TEMPLATE_FLAG = "dessert_cleaned_legacy_template_v2";
+// All persistence goes through AppStore (storage.js), opened on DOMContentLoaded.
+// Keys of its "settings" store used here:
+//   settings       { laborRatePerHour, ..., trashPurgeDays, language, currency* }
+//   currentRecipe  last opened recipe
+//   trash          [{ id, name, deletedAt, rows, meta }] deleted recipes, restorable until emptied/purged
+//   marginPct      legacy global margin (fallback only)
+//   summaryColumns optional Resumen columns shown (SUMMARY_COLUMNS keys)
+//   shoppingList   { batches:{recipe:n}, checked:[key] } shopping list picks
 
-// Favorites metadata (safe addition)
-const META_KEY_V1        = "dessert_recipe_meta_v1"; // { [recipeName]: { favorite:boolean } }
-
-// IndexedDB
-const DB_NAME = "dessert_profiles_db_v2";
-const DB_VER  = 1;
-const STORE_ITEMS = "recipe_items"; // key = `${recipeName}::${Ingredient}`
-
-let DB = null;
-let currentRecipe = getCurrentRecipe();
+let currentRecipe = "Default";
 let rowsState = null;
 
+// Sorted recipe names from the last list refresh (sync lookups, e.g. sub-recipe pickers)
+let knownRecipeNames = [];
+
 // Drawer filter state (UI-only; not persisted)
 let searchQuery = "";
 let favOnly = false;
+let tagFilter = "";
 
 // debounce save
 let saveTimer = null;
 
+// UI text in the chosen language; the Spanish text is the key (see i18n.js)
+function T(src, params){
+  return I18n.t(src, params);
+}
+
+/* =========================
+   Number format (currency settings)
+   Money and typed numbers follow the chosen currency, not the device locale:
+   with "." as thousands separator, "1.500" is 1500 and "1,5" is 1.5.
+   ========================= */
+const CURRENCIES = {
+  CLP: { currencySymbol: "$",   currencyDecimals: 0, thousandsSep: "." },
+  USD: { currencySymbol: "US$", currencyDecimals: 2, thousandsSep: "," },
+  EUR: { currencySymbol: "€",   currencyDecimals: 2, thousandsSep: "." },
+};
+const THOUSANDS_SEPS = [".", ",", " "];
+
+let numberFormat = { symbol: "$", decimals: 0, thousandsSep: ".", decimalSep: "," };
+
+function applyNumberFormat(g){
+  const ts = THOUSANDS_SEPS.includes(g.thousandsSep) ? g.thousandsSep : ".";
+  numberFormat = {
+    symbol: String(g.currencySymbol),
+    decimals: g.currencyDecimals,
+    thousandsSep: ts,
+    decimalSep: (ts === ",") ? "." : ",",
+  };
+}
+
 function n(v){
   if (v === null || v === undefined) return 0;
-  const s = String(v).trim().replace(",", ".");
+  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
+  const { thousandsSep: ts, decimalSep: ds } = numberFormat;
+  let s = String(v).trim().replace(/\s/g, "");
+  if (ts !== " " && s.includes(ts)){
+    // "1.500" / "1.500,5" are thousands; a lone "1.5" was typed the other way round
+    const grouped = new RegExp(`^-?[1-9]\\d{0,2}(\\${ts}\\d{3})+(\\${ds}\\d*)?$`);
+    s = grouped.test(s) ? s.split(ts).join("") : s.split(ts).join(".");
+  }
+  s = s.replace(ds, ".");
   const x = Number(s);
   return Number.isFinite(x) ? x : 0;
 }
 
+// Up to `maxFrac` decimals (at least `minFrac`), grouped with the thousands separator
+function formatNumber(v, maxFrac = 2, minFrac = 0){
+  const x = Number(v);
+  if (!Number.isFinite(x)) return "0";
+  const { thousandsSep: ts, decimalSep: ds } = numberFormat;
+  let [int, frac = ""] = Math.abs(x).toFixed(maxFrac).split(".");
+  frac = frac.replace(/0+$/, "").padEnd(minFrac, "0");
+  int = int.replace(/\B(?=(\d{3})+(?!\d))/g, ts);
+  const neg = (x < 0 && Number(int.split(ts).join("") + "." + (frac || "0")) !== 0) ? "-" : "";
+  return neg + int + (frac ? ds + frac : "");
+}
+
+// Plain number for an input box (decimal separator, no grouping) so n() reads it back
+function numInput(v){
+  const x = Math.round(n(v) * 1000) / 1000;
+  return String(x).replace(".", numberFormat.decimalSep);
+}
+
 function money(v){
-  const x = Math.round(v * 100) / 100;
-  return "$" + x.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+  const d = numberFormat.decimals;
+  return numberFormat.symbol + formatNumber(v, Math.max(d, 2), d);
 }
+// Final prices: exactly the currency's decimals
 function moneyInt(v){
-  const x = Math.round(v);
-  return "$" + x.toLocaleString(undefined, { maximumFractionDigits: 0 });
+  const d = numberFormat.decimals;
+  return numberFormat.symbol + formatNumber(v, d, d);
 }
 
 function escapeHtml(s){
@@ -60,7 +115,59 @@ function escapeHtml(s){
 }
 
 function defaultRows(){
-  return [{ name:"", cost:0, amount:0, recipeAmount:0 }];
+  return [newRow()];
+}
+function newRow(){
+  return { name:"", cost:0, amount:0, unit:DEFAULT_UNIT, recipeAmount:0, recipeUnit:DEFAULT_UNIT, ingId:null, subRecipe:null };
+}
+function newSubRecipeRow(){
+  return { ...newRow(), unit:"unidad", recipeUnit:"unidad", subRecipe:"" };
+}
+// Sub-recipe rows carry a (possibly not yet chosen, "") recipe name in `subRecipe`
+function isSubRecipeRow(r){
+  return !!r && typeof r.subRecipe === "string";
+}
+
+/* =========================
+   Units of measure
+   `factor` = size in the base unit of its dimension (g, ml, unidad).
+   Spoon/cup sizes are the usual kitchen measures (5 / 15 / 240 ml).
+   ========================= */
+const UNITS = {
+  g:           { dim: "mass",   factor: 1 },
+  kg:          { dim: "mass",   factor: 1000 },
+  ml:          { dim: "volume", factor: 1 },
+  L:           { dim: "volume", factor: 1000 },
+  cucharadita: { dim: "volume", factor: 5 },
+  cucharada:   { dim: "volume", factor: 15 },
+  taza:        { dim: "volume", factor: 240 },
+  unidad:      { dim: "count",  factor: 1 },
+  docena:      { dim: "count",  factor: 12 },
+};
+const DEFAULT_UNIT = "g";
+
+function normUnit(u){
+  return Object.prototype.hasOwnProperty.call(UNITS, u) ? u : DEFAULT_UNIT;
+}
+
+// `qty` expressed in `from`, converted to `to`; null when the units are not compatible
+function convertQty(qty, from, to){
+  const a = UNITS[normUnit(from)];
+  const b = UNITS[normUnit(to)];
+  if (a.dim !== b.dim) return null;
+  return n(qty) * a.factor / b.factor;
+}
+
+// Units are stored by their Spanish key; only the label is translated
+function unitLabel(u){
+  return T(normUnit(u));
+}
+
+function unitOptionsHTML(selected){
+  const sel = normUnit(selected);
+  return Object.keys(UNITS)
+    .map(u => `<option value="${u}"${u === sel ? " selected" : ""}>${unitLabel(u)}</option>`)
+    .join("");
 }
 
 function isLegacyTemplate(rows){
@@ -72,61 +179,204 @@ function isLegacyTemplate(rows){
 
 function maybeCleanLegacyTemplate(){
   try{
-    if (localStorage.getItem(CLEAN_TEMPLATE_FLAG) === "1") return;
-    const raw = localStorage.getItem(getRowsKey("Default"));
-    if (!raw) { localStorage.setItem(CLEAN_TEMPLATE_FLAG, "1"); return; }
-    const rows = JSON.parse(raw);
-    if (isLegacyTemplate(rows)){
-      localStorage.removeItem(getRowsKey("Default"));
-    }
-    localStorage.setItem(CLEAN_TEMPLATE_FLAG, "1");
+    if (AppStore.getSetting("cleanedLegacyTemplate", false)) return;
+    const rows = AppStore.getRows("Default");
+    if (rows && isLegacyTemplate(rows)) AppStore.deleteRecipe("Default");
+    AppStore.setSetting("cleanedLegacyTemplate", true);
   }catch{}
 }
 
-function getRowsKey(recipeName){ return ROWS_KEY_PREFIX + recipeName; }
-
 function getCurrentRecipe(){
-  const s = (localStorage.getItem(CURRENT_RECIPE_KEY) || "").trim();
+  const s = String(AppStore.getSetting("currentRecipe", "") || "").trim();
   return s || "Default";
 }
-function setCurrentRecipe(name){ localStorage.setItem(CURRENT_RECIPE_KEY, name); }
+function setCurrentRecipe(name){ AppStore.setSetting("currentRecipe", name); }
 
 function loadMarginPct(){
-  const raw = localStorage.getItem(MARGIN_KEY);
+  const raw = AppStore.getSetting("marginPct", null);
   const val = (raw === null) ? 30 : n(raw);
   return Number.isFinite(val) ? val : 30;
 }
-function saveMarginPct(v){ localStorage.setItem(MARGIN_KEY, String(v)); }
+function saveMarginPct(v){ AppStore.setSetting("marginPct", n(v)); }
 
-function loadIngredientCache(){
-  try{
-    const raw = localStorage.getItem(ING_CACHE_KEY);
-    if(!raw) return {};
-    const obj = JSON.parse(raw);
-    return (obj && typeof obj === "object") ? obj : {};
-  }catch{
-    return {};
+/* =========================
+   Ingredient catalog (shared across recipes)
+   Rows link to an entry through `ingId`; a linked row always takes
+   its cost/amount from the catalog, so one price change reaches every recipe.
+   ========================= */
+let catalogCache = null;
+
+function normIngName(s){
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ");
+}
+
+function newIngredientId(){
+  return "ing_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+function loadCatalog(){
+  if (!catalogCache) catalogCache = AppStore.getCatalog();
+  return catalogCache;
+}
+function saveCatalog(cat){
+  catalogCache = cat || {};
+  for (const [id, ing] of Object.entries(catalogCache)) recordPriceChange(ing, AppStore.getIngredientPrice(id));
+  AppStore.putCatalog(catalogCache);
+}
+
+function findCatalogIdByName(cat, name){
+  const key = normIngName(name);
+  if (!key) return null;
+  for (const id of Object.keys(cat)){
+    if (normIngName(cat[id].name) === key) return id;
+  }
+  return null;
+}
+
+function upsertCatalogIngredient(cat, name, cost, amount, unit){
+  const clean = String(name || "").trim();
+  if (!clean) return null;
+  let id = findCatalogIdByName(cat, clean);
+  if (!id){
+    id = newIngredientId();
+    cat[id] = { id, name: clean, cost: 0, amount: 0, unit: DEFAULT_UNIT };
+  }
+  cat[id].cost = n(cost);
+  cat[id].amount = n(amount);
+  setCatalogUnit(cat[id], unit);
+  return id;
+}
+
+function catalogEntryForRow(r){
+  if (!r || !r.ingId || isSubRecipeRow(r)) return null;
+  return loadCatalog()[r.ingId] || null;
+}
+
+// Effective purchase cost/amount/unit of a row (catalog wins for linked rows;
+// a sub-recipe row is bought by the "unidad" of its base recipe's yield)
+function rowPurchase(r, stack){
+  if (isSubRecipeRow(r)){
+    if (!r.subRecipe) return { cost: 0, amount: 1, unit: "unidad", subError: null };
+    const sub = subRecipeUnitCost(r.subRecipe, stack);
+    return { cost: sub.cost, amount: 1, unit: "unidad", subError: sub.error };
+  }
+  const ing = catalogEntryForRow(r);
+  if (ing) return { cost: n(ing.cost), amount: n(ing.amount), unit: normUnit(ing.unit) };
+  return { cost: n(r.cost), amount: n(r.amount), unit: normUnit(r.unit) };
+}
+
+// Refresh row copies from the catalog and link unlinked rows by name.
+function hydrateRowsFromCatalog(rows){
+  const cat = loadCatalog();
+  for (const r of rows || []){
+    if (isSubRecipeRow(r)){ r.ingId = null; continue; }
+    if (r.ingId && !cat[r.ingId]) r.ingId = null;
+    if (!r.ingId && String(r.name || "").trim()){
+      r.ingId = findCatalogIdByName(cat, r.name);
+    }
+    const ing = r.ingId ? cat[r.ingId] : null;
+    if (ing){
+      r.name = ing.name;
+      r.cost = n(ing.cost);
+      r.amount = n(ing.amount);
+      r.unit = normUnit(ing.unit);
+    }
+  }
+  return rows;
+}
+
+// Editor typed a new name: link to the matching entry (if any) and pull its price.
+function relinkRowByName(r){
+  const cat = loadCatalog();
+  const id = findCatalogIdByName(cat, r.name);
+  r.ingId = id;
+  if (id){
+    r.cost = n(cat[id].cost);
+    r.amount = n(cat[id].amount);
+    r.unit = normUnit(cat[id].unit);
+  }
+  return !!id;
+}
+
+/* =========================
+   Ingredient price history
+   Each catalog entry keeps `priceHistory: [{date, cost, amount, unit}]`,
+   oldest first, one entry per day its price changed. Prices are compared
+   per reference unit (kg, L, unidad): 1 kg and 1000 g at the same cost are no change.
+   ========================= */
+const PRICE_REF_UNITS = { mass: "kg", volume: "L", count: "unidad" };
+
+function priceRefUnit(unit){
+  return PRICE_REF_UNITS[UNITS[normUnit(unit)].dim];
+}
+
+// 0 while the entry has no complete price
+function pricePerRefUnit(p){
+  const qty = convertQty(p.amount, p.unit, priceRefUnit(p.unit));
+  return (qty > 0) ? n(p.cost) / qty : 0;
+}
+
+function samePrice(a, b){
+  return priceRefUnit(a.unit) === priceRefUnit(b.unit)
+    && Math.abs(pricePerRefUnit(a) - pricePerRefUnit(b)) < 1e-9;
+}
+
+// `prev` is the last saved price of the entry (null for a new one).
+// Several edits on the same day (typing "1", "15", "1500") keep only the last;
+// records marked `edit` are the only ones replaced, so the price the entry was
+// created or migrated with stays as the baseline.
+function recordPriceChange(ing, prev){
+  const p = { cost: n(ing.cost), amount: n(ing.amount), unit: normUnit(ing.unit) };
+  if (!pricePerRefUnit(p)) return;
+  if (prev && samePrice(p, prev) && Array.isArray(ing.priceHistory) && ing.priceHistory.length) return;
+
+  const hist = Array.isArray(ing.priceHistory) ? ing.priceHistory : [];
+  const now = new Date();
+  const last = hist[hist.length - 1];
+  if (last && last.edit && new Date(last.date).toDateString() === now.toDateString()) hist.pop();
+  const before = hist[hist.length - 1];
+  if (!before || !samePrice(p, before)) hist.push(prev ? { date: now.toISOString(), ...p, edit: true } : { date: now.toISOString(), ...p });
+  ing.priceHistory = hist;
+}
+
+// Price the entry had on `date`; before its first record, the first known price
+function priceAsOf(ing, date){
+  const hist = Array.isArray(ing.priceHistory) ? ing.priceHistory : [];
+  let found = null;
+  for (const h of hist){
+    if (new Date(h.date) > date) break;
+    found = h;
   }
+  return found || hist[0] || ing;
+}
+
+function parsePriceHistory(list){
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(h => h && Number.isFinite(new Date(h.date).getTime()))
+    .map(h => ({ date: new Date(h.date).toISOString(), cost: n(h.cost), amount: n(h.amount), unit: normUnit(h.unit) }));
 }
-function saveIngredientCache(cache){
-  localStorage.setItem(ING_CACHE_KEY, JSON.stringify(cache));
+
+// Union by date (an imported record never replaces a local one of the same moment)
+function mergePriceHistory(local, incoming){
+  const byDate = new Map();
+  for (const h of incoming || []) byDate.set(h.date, h);
+  for (const h of local || []) byDate.set(h.date, h);
+  return Array.from(byDate.values()).sort((a,b)=>a.date.localeCompare(b.date));
 }
 
 /* =========================
    Favorites meta
    ========================= */
 function loadMeta(){
-  try{
-    const raw = localStorage.getItem(META_KEY_V1);
-    if (!raw) return {};
-    const obj = JSON.parse(raw);
-    return (obj && typeof obj === "object") ? obj : {};
-  }catch{
-    return {};
-  }
+  return AppStore.getMeta();
 }
 function saveMeta(meta){
-  localStorage.setItem(META_KEY_V1, JSON.stringify(meta || {}));
+  AppStore.putMeta(meta);
 }
 function ensureMetaForRecipe(meta, recipeName){
   if (!meta[recipeName] || typeof meta[recipeName] !== "object"){
@@ -138,9 +388,294 @@ function ensureMetaForRecipe(meta, recipeName){
     if (!Number.isFinite(mp)) meta[recipeName].marginPct = 30;
     if (!Number.isFinite(yq) || yq <= 0) meta[recipeName].yieldQty = 1;
   }
+  ensureOverheadFields(meta[recipeName]);
+  ensureTagFields(meta[recipeName]);
+  // Only kept when there are some, so older revisions compare as "no formats"
+  const formats = parseSaleFormats(meta[recipeName].formats);
+  if (formats.length) meta[recipeName].formats = formats;
+  else delete meta[recipeName].formats;
   return meta;
 }
 
+// Overhead per recipe: minutes are per batch; rates/packaging null = use global default
+function ensureOverheadFields(m){
+  const lm = Number(m.laborMin);
+  const om = Number(m.ovenMin);
+  m.laborMin = (Number.isFinite(lm) && lm > 0) ? lm : 0;
+  m.ovenMin = (Number.isFinite(om) && om > 0) ? om : 0;
+  m.laborRate = optNum(m.laborRate);
+  m.ovenRate = optNum(m.ovenRate);
+  m.packagingPerUnit = optNum(m.packagingPerUnit);
+  return m;
+}
+
+// Organization: free-form tags + one category ("" = sin categoría)
+function ensureTagFields(m){
+  m.tags = normTags(m.tags);
+  m.category = String(m.category || "").trim().replace(/\s+/g, " ");
+  return m;
+}
+
+// Array or "a, b" text -> unique tags (case/accent-insensitive), first spelling kept
+function normTags(list){
+  const src = Array.isArray(list) ? list : String(list || "").split(",");
+  const out = [];
+  const seen = new Set();
+  for (const t of src){
+    const clean = String(t || "").trim().replace(/\s+/g, " ");
+    const key = normIngName(clean);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(clean);
+  }
+  return out;
+}
+
+function recipeHasTag(m, tag){
+  const key = normIngName(tag);
+  return !!m && (m.tags || []).some(t => normIngName(t) === key);
+}
+
+// Sorted unique values of `field` ("tags" or "category") across all recipes
+function listMetaValues(meta, field){
+  const byKey = new Map();
+  for (const m of Object.values(meta)){
+    const vals = (field === "tags") ? (m.tags || []) : [m.category];
+    for (const v of vals){
+      const key = normIngName(v);
+      if (key && !byKey.has(key)) byKey.set(key, String(v).trim());
+    }
+  }
+  return Array.from(byKey.values()).sort((a,b)=>a.localeCompare(b));
+}
+
+// Optional number: empty/invalid -> null ("use default")
+function optNum(v){
+  if (v === null || v === undefined || String(v).trim() === "") return null;
+  const x = n(v);
+  return (x >= 0) ? x : null;
+}
+
+/* =========================
+   Global settings
+   ========================= */
+const DEFAULT_SETTINGS = {
+  laborRatePerHour: 0,  // $ per hour of work
+  ovenRatePerHour: 0,   // $ per hour of oven (gas/electricity)
+  packagingPerUnit: 0,  // $ per unit sold
+
+  // Pricing rules
+  pricingMode: "markup", // 'markup' = % over cost | 'margin' = % of the sale price
+  taxEnabled: false,
+  taxPct: 19,            // IVA
+  roundStep: 1,          // 1 | 10 | 100 | 500
+  roundMode: "nearest",  // 'nearest' | 'up' | 'end990'
+
+  trashPurgeDays: 30,    // 0 = keep deleted recipes until emptied manually
+
+  // Language + number format (symbol/decimals/separator start from the currency's preset)
+  language: "es",        // I18n.LANGS key
+  currency: "CLP",       // CURRENCIES key
+  currencySymbol: "$",
+  currencyDecimals: 0,
+  thousandsSep: ".",     // THOUSANDS_SEPS; the decimal separator is the other one
+
+  // Which supplier offer prices an ingredient that has several
+  offerRule: "cheapest", // OFFER_RULES: 'cheapest' per unit | 'preferred' supplier | 'latest' date
+  preferredSupplier: "",
+};
+const ROUND_STEPS = [1, 10, 100, 500];
+const ROUND_MODES = ["nearest", "up", "end990"];
+
+function loadSettings(){
+  const obj = AppStore.getSetting("settings", null);
+  const out = { ...DEFAULT_SETTINGS };
+  if (obj && typeof obj === "object"){
+    for (const k of Object.keys(DEFAULT_SETTINGS)){
+      if (obj[k] !== undefined) out[k] = obj[k];
+    }
+  }
+  out.laborRatePerHour = Math.max(0, n(out.laborRatePerHour));
+  out.ovenRatePerHour = Math.max(0, n(out.ovenRatePerHour));
+  out.packagingPerUnit = Math.max(0, n(out.packagingPerUnit));
+  out.pricingMode = (out.pricingMode === "margin") ? "margin" : "markup";
+  out.taxEnabled = !!out.taxEnabled;
+  out.taxPct = Math.max(0, n(out.taxPct));
+  out.roundStep = ROUND_STEPS.includes(n(out.roundStep)) ? n(out.roundStep) : 1;
+  out.roundMode = ROUND_MODES.includes(out.roundMode) ? out.roundMode : "nearest";
+  out.trashPurgeDays = Math.max(0, Math.round(n(out.trashPurgeDays)));
+  out.language = Object.prototype.hasOwnProperty.call(I18n.LANGS, out.language) ? out.language : "es";
+  out.currency = CURRENCIES[out.currency] ? out.currency : "CLP";
+  out.currencySymbol = String(out.currencySymbol || "").trim().slice(0, 5);
+  out.currencyDecimals = Math.min(3, Math.max(0, Math.round(n(out.currencyDecimals))));
+  out.thousandsSep = THOUSANDS_SEPS.includes(out.thousandsSep) ? out.thousandsSep : ".";
+  out.offerRule = OFFER_RULES.includes(out.offerRule) ? out.offerRule : "cheapest";
+  out.preferredSupplier = String(out.preferredSupplier || "").trim();
+  return out;
+}
+
+function saveSettings(patch){
+  const next = { ...loadSettings(), ...(patch || {}) };
+  AppStore.setSetting("settings", next);
+  const g = loadSettings();
+  applyLocaleSettings(g);
+  return g;
+}
+
+// Number format always follows the saved settings; the markup is re-translated on a language change
+function applyLocaleSettings(g){
+  applyNumberFormat(g);
+  if (g.language !== I18n.getLang()){
+    I18n.setLang(g.language);
+    I18n.translateDOM();
+  }
+}
+
+/* =========================
+   Pricing rules (margin vs markup, IVA, rounding)
+   ========================= */
+function roundPrice(x, g){
+  if (!Number.isFinite(x) || x <= 0) return 0;
+  if (g.roundMode === "end990"){
+    // Smallest price >= x ending in 990 (e.g. 4.990, 12.990)
+    return Math.max(990, Math.ceil((x - 990) / 1000) * 1000 + 990);
+  }
+  // Step 1 = the currency's smallest unit (1 peso, 0.01 USD)
+  const step = (g.roundStep > 1) ? g.roundStep : Math.pow(10, -g.currencyDecimals);
+  const q = x / step;
+  // Tiny epsilon so float noise (e.g. 1300.0000001) doesn't push "up" one step
+  const out = (g.roundMode === "up" ? Math.ceil(q - 1e-9) : Math.round(q)) * step;
+  return Number(out.toFixed(g.currencyDecimals));
+}
+
+// Sale price for a cost. Rounding applies to the price the customer pays
+// (gross when IVA is on); net is derived back from it.
+function applyPricing(cost, marginPct, settings){
+  const g = settings || loadSettings();
+  const pct = n(marginPct);
+  let net;
+  if (g.pricingMode === "margin"){
+    // Margin can't reach 100% of the price; cap so the price stays finite
+    net = cost / (1 - Math.min(pct, 99) / 100);
+  }else{
+    net = cost * (1 + pct / 100);
+  }
+  const taxRate = g.taxEnabled ? g.taxPct / 100 : 0;
+  const gross = roundPrice(net * (1 + taxRate), g);
+  const netPrice = gross / (1 + taxRate);
+  return { netPrice, taxAmount: gross - netPrice, finalPrice: gross };
+}
+
+// Margin (or markup, per pricingMode) that a gross `price` leaves over `cost`
+function effectiveMarginPct(price, cost, settings){
+  const g = settings || loadSettings();
+  const net = price / (1 + (g.taxEnabled ? g.taxPct / 100 : 0));
+  if (g.pricingMode === "margin") return (net > 0) ? (net - cost) / net * 100 : 0;
+  return (cost > 0) ? (net - cost) / cost * 100 : 0;
+}
+
+// Highest cost that still leaves `marginPct` at a gross `price` (inverse of applyPricing, no rounding)
+function maxCostForPrice(price, marginPct, settings){
+  const g = settings || loadSettings();
+  const net = price / (1 + (g.taxEnabled ? g.taxPct / 100 : 0));
+  const pct = n(marginPct);
+  if (g.pricingMode === "margin") return net * (1 - Math.min(pct, 99) / 100);
+  return net / (1 + pct / 100);
+}
+
+function pricingModeLabel(g){
+  return (g.pricingMode === "margin") ? T("Margen Ganancia (%)") : T("Recargo sobre costo (%)");
+}
+
+function roundingLabel(g){
+  if (g.roundMode === "end990") return T("terminado en 990");
+  const step = (g.roundStep > 1) ? formatNumber(g.roundStep)
+    : g.currencyDecimals ? formatNumber(Math.pow(10, -g.currencyDecimals), g.currencyDecimals) : T("entero");
+  return T((g.roundMode === "up") ? "redondeado hacia arriba a {step}" : "redondeado al más cercano a {step}", { step });
+}
+
+/* =========================
+   Recipe cost breakdown
+   ingredients + overhead (labor, oven, packaging) = total; margin applies to total
+   `waste` is informative: it's already part of `ingredients`
+   ========================= */
+function computeRecipeCosts(rows, s){
+  const g = loadSettings();
+  const yieldQty = Math.max(1, n(s.yieldQty));
+  const laborRate = (s.laborRate !== null && s.laborRate !== undefined) ? n(s.laborRate) : g.laborRatePerHour;
+  const ovenRate = (s.ovenRate !== null && s.ovenRate !== undefined) ? n(s.ovenRate) : g.ovenRatePerHour;
+  const packagingPerUnit = (s.packagingPerUnit !== null && s.packagingPerUnit !== undefined) ? n(s.packagingPerUnit) : g.packagingPerUnit;
+
+  const ingredients = computeTotal(rows);
+  const waste = computeWasteTotal(rows);
+  const labor = n(s.laborMin) / 60 * laborRate;
+  const oven = n(s.ovenMin) / 60 * ovenRate;
+  const packaging = packagingPerUnit * yieldQty;
+  const overhead = labor + oven + packaging;
+  const total = ingredients + overhead;
+
+  const marginPct = n(s.marginPct);
+  const { netPrice, taxAmount, finalPrice } = applyPricing(total, marginPct, g);
+
+  return {
+    ingredients, waste, labor, oven, packaging, overhead, total,
+    laborRate, ovenRate, packagingPerUnit,
+    marginPct, netPrice, taxAmount, finalPrice, yieldQty,
+    unitCost: total / yieldQty,
+    unitPrice: finalPrice / yieldQty,
+  };
+}
+
+/* =========================
+   Sale formats
+   The same batch sold as e.g. 1 whole cake, 12 slices or 24 minis. A format
+   keeps the batch's ingredients, labor and oven and sets its own unit count,
+   packaging per unit and margin (null = the recipe's). It's priced per unit,
+   so rounding lands on the price of a slice, not of the batch.
+   ========================= */
+function newFormatId(){
+  return "fmt_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function parseSaleFormats(list){
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(f => f && typeof f === "object")
+    .map(f => ({
+      id: String(f.id || newFormatId()),
+      name: String(f.name || "").trim(),
+      units: Math.max(1, n(f.units)),
+      packagingPerUnit: optNum(f.packagingPerUnit),
+      marginPct: optNum(f.marginPct),
+    }));
+}
+
+// Same shape as computeRecipeCosts, so Resumen columns read a format like a recipe
+function computeFormatCosts(c, f, settings){
+  const g = settings || loadSettings();
+  const units = Math.max(1, n(f.units));
+  const packagingPerUnit = (f.packagingPerUnit !== null && f.packagingPerUnit !== undefined) ? n(f.packagingPerUnit) : c.packagingPerUnit;
+  const marginPct = (f.marginPct !== null && f.marginPct !== undefined) ? n(f.marginPct) : c.marginPct;
+  const packaging = packagingPerUnit * units;
+  const overhead = c.labor + c.oven + packaging;
+  const total = c.ingredients + overhead;
+  const unitCost = total / units;
+  const p = applyPricing(unitCost, marginPct, g);
+  return {
+    ...c, packaging, overhead, total, packagingPerUnit, marginPct,
+    netPrice: p.netPrice * units,
+    taxAmount: p.taxAmount * units,
+    finalPrice: p.finalPrice * units,
+    yieldQty: units,
+    unitCost,
+    unitPrice: p.finalPrice,
+  };
+}
+
+function formatLabel(f){
+  return f.name || T("Sin nombre");
+}
+
 
 
 function getRecipeSettings(recipeName){
@@ -159,23 +694,93 @@ function setRecipeSettings(recipeName, patch){
   return meta[recipeName];
 }
 
+// Overhead inputs: [element id, meta field, optional (empty = global default)]
+const OVERHEAD_INPUTS = [
+  ["laborMin", "laborMin", false],
+  ["laborRate", "laborRate", true],
+  ["ovenMin", "ovenMin", false],
+  ["ovenRate", "ovenRate", true],
+  ["packagingPerUnit", "packagingPerUnit", true],
+];
+
+// [meta field, label] shown in import previews and revision diffs
+const RECIPE_FIELD_LABELS = [
+  ["favorite", "Favorita"],
+  ["category", "Categoría"],
+  ["tags", "Etiquetas"],
+  ["marginPct", "Margen %"],
+  ["yieldQty", "Rendimiento"],
+  ["laborMin", "Mano de obra (min)"],
+  ["laborRate", "Mano de obra ($/hora)"],
+  ["ovenMin", "Horno (min)"],
+  ["ovenRate", "Horno ($/hora)"],
+  ["packagingPerUnit", "Empaque ($/unidad)"],
+  ["formats", "Formatos de venta"],
+];
+
+// Organization fields stay out of revisions: restoring a version keeps them
+const RECIPE_ORGANIZE_FIELDS = ["favorite", "category", "tags"];
+
+function formatFieldValue(v){
+  if (Array.isArray(v)) return v.length ? v.map(x => (x && typeof x === "object") ? `${formatLabel(x)} ×${formatNumber(x.units)}` : x).join(", ") : "—";
+  if (typeof v === "number") return formatNumber(v);
+  return String(v ?? "—") || "—";
+}
+
 function applyRecipeSettingsToUI(){
   try{
     const s = getRecipeSettings(currentRecipe);
     const marginEl = document.getElementById("marginPct");
     const yieldEl = document.getElementById("yieldQty");
-    if (marginEl) marginEl.value = String(n(s.marginPct));
-    if (yieldEl) yieldEl.value = String(Math.max(1, n(s.yieldQty)));
+    if (marginEl) marginEl.value = numInput(s.marginPct);
+    if (yieldEl) yieldEl.value = numInput(Math.max(1, n(s.yieldQty)));
+
+    for (const [id, key, optional] of OVERHEAD_INPUTS){
+      const el = document.getElementById(id);
+      if (!el) continue;
+      const v = s[key];
+      const empty = (v === null || v === undefined || (!optional && !n(v)));
+      el.value = empty ? "" : numInput(v);
+    }
+    applyOverheadPlaceholders();
+
+    renderSaleFormatsTable();
+
+    const targetEl = document.getElementById("targetUnitPrice");
+    if (targetEl) targetEl.value = (optNum(s.targetUnitPrice) > 0) ? numInput(s.targetUnitPrice) : "";
   }catch(e){}
 }
 
+// Empty rate fields show the global default they fall back to
+function applyOverheadPlaceholders(){
+  const g = loadSettings();
+  const laborRateEl = document.getElementById("laborRate");
+  const ovenRateEl = document.getElementById("ovenRate");
+  const pkgEl = document.getElementById("packagingPerUnit");
+  if (laborRateEl) laborRateEl.placeholder = numInput(g.laborRatePerHour);
+  if (ovenRateEl) ovenRateEl.placeholder = numInput(g.ovenRatePerHour);
+  if (pkgEl) pkgEl.placeholder = numInput(g.packagingPerUnit);
+}
+
+// Current recipe settings as typed in the editor (not yet persisted)
+function readRecipeSettingsFromUI(){
+  const marginEl = document.getElementById("marginPct");
+  const yieldEl = document.getElementById("yieldQty");
+  const out = {
+    marginPct: marginEl ? n(marginEl.value) : 0,
+    yieldQty: yieldEl ? Math.max(1, n(yieldEl.value)) : 1,
+  };
+  for (const [id, key, optional] of OVERHEAD_INPUTS){
+    const el = document.getElementById(id);
+    if (!el) continue;
+    out[key] = optional ? optNum(el.value) : Math.max(0, n(el.value));
+  }
+  return out;
+}
+
 function persistCurrentRecipeSettingsFromUI(){
   try{
-    const marginEl = document.getElementById("marginPct");
-    const yieldEl = document.getElementById("yieldQty");
-    const mp = marginEl ? n(marginEl.value) : 0;
-    const yq = yieldEl ? Math.max(1, n(yieldEl.value)) : 1;
-    setRecipeSettings(currentRecipe, { marginPct: mp, yieldQty: yq });
+    setRecipeSettings(currentRecipe, readRecipeSettingsFromUI());
   }catch(e){}
 }
 
@@ -184,131 +789,141 @@ function persistCurrentRecipeSettingsFromUI(){
    ========================= */
 function loadRowsForRecipe(recipeName){
   try{
-    const raw = localStorage.getItem(getRowsKey(recipeName));
-    if(!raw) return null;
-    const rows = JSON.parse(raw);
+    const rows = AppStore.getRows(recipeName);
     if(!Array.isArray(rows)) return null;
     return rows.map(r => ({
       name: r.name ?? "",
       cost: n(r.cost),
       amount: n(r.amount),
+      unit: normUnit(r.unit),
       recipeAmount: n(r.recipeAmount),
+      recipeUnit: normUnit(r.recipeUnit),
+      ingId: r.ingId ? String(r.ingId) : null,
+      subRecipe: (typeof r.subRecipe === "string") ? r.subRecipe : null,
+      wastePct: hasOwnWaste(r) ? clampWastePct(r.wastePct) : null,
     }));
   }catch{
     return null;
   }
 }
 function saveRowsForRecipe(recipeName, rows){
-  localStorage.setItem(getRowsKey(recipeName), JSON.stringify(rows));
+  AppStore.putRows(recipeName, rows);
+}
+
+/* =========================
+   Waste (merma)
+   The recipe quantity is what ends up in the dessert; with `wastePct` lost to
+   trimming, shells or the bowl, qty / (1 − waste) is bought. A row's own
+   `wastePct` wins; otherwise the catalog entry's default applies.
+   ========================= */
+const MAX_WASTE_PCT = 90;
+
+function clampWastePct(v){
+  return Math.min(MAX_WASTE_PCT, Math.max(0, n(v)));
+}
+
+function hasOwnWaste(r){
+  return !!r && r.wastePct !== null && r.wastePct !== undefined && r.wastePct !== "";
+}
+
+function rowWastePct(r){
+  if (hasOwnWaste(r)) return clampWastePct(r.wastePct);
+  const ing = catalogEntryForRow(r);
+  return ing ? clampWastePct(ing.wastePct) : 0;
+}
+
+// Bought per used: 15% waste -> 1 / 0.85
+function wasteFactor(pct){
+  return 1 / (1 - clampWastePct(pct) / 100);
 }
 
-function computeRow(r){
-  const unit = (r.amount > 0) ? (r.cost / r.amount) : 0;
-  const recipeCost = unit * r.recipeAmount;
-  return { unit, recipeCost };
+// unit = cost per purchase unit; the recipe quantity is converted into that unit.
+// Incompatible units (e.g. g vs ml) flag the row and contribute no cost.
+// `stack` holds the recipes being expanded, so sub-recipe cycles stop at 0.
+// recipeCost includes the waste; wasteCost is the part of it that is thrown away.
+function computeRow(r, stack){
+  const { cost, amount, unit: buyUnit, subError } = rowPurchase(r, stack);
+  const unit = (amount > 0) ? (cost / amount) : 0;
+  const qty = convertQty(r.recipeAmount, r.recipeUnit, buyUnit);
+  const unitError = (qty === null);
+  const usedCost = unitError ? 0 : unit * qty;
+  const wastePct = rowWastePct(r);
+  const recipeCost = usedCost * wasteFactor(wastePct);
+  return { unit, recipeCost, wasteCost: recipeCost - usedCost, wastePct, unitError, buyUnit, subError: subError || null };
 }
-function computeTotal(rows){
+function computeTotal(rows, stack){
   let total = 0;
   for (let i=0;i<rows.length;i++){
-    total += computeRow(rows[i]).recipeCost;
+    total += computeRow(rows[i], stack).recipeCost;
   }
   return total;
 }
-
-// Drawer open/close
-function openDrawer(){ document.body.classList.add("drawer-open"); }
-function closeDrawer(){ document.body.classList.remove("drawer-open"); }
+function computeWasteTotal(rows, stack){
+  return rows.reduce((sum, r) => sum + computeRow(r, stack).wasteCost, 0);
+}
 
 /* =========================
-   IndexedDB
+   Sub-recipes
+   A row with `subRecipe` uses another recipe as an ingredient, priced at
+   that recipe's total / yieldQty per unit.
    ========================= */
-function openDB(){
-  return new Promise((resolve, reject) => {
-    if (!("indexedDB" in window)) return reject(new Error("IndexedDB not available"));
-    const req = indexedDB.open(DB_NAME, DB_VER);
-
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains(STORE_ITEMS)){
-        db.createObjectStore(STORE_ITEMS, { keyPath: "key" });
-      }
-    };
-
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
+function getRecipeRowsSync(recipeName){
+  if (recipeName === currentRecipe && rowsState) return rowsState;
+  return loadRowsForRecipe(recipeName);
 }
 
-function dbGetAll(db){
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_ITEMS, "readonly");
-    const store = tx.objectStore(STORE_ITEMS);
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result || []);
-    req.onerror = () => reject(req.error);
-  });
+function getRecipeYield(recipeName){
+  const m = loadMeta()[recipeName];
+  return Math.max(1, n(m && m.yieldQty) || 1);
 }
 
-async function dbGetItems(db, recipeName){
-  const all = await dbGetAll(db);
-  return all.filter(x => x && x.recipeName === recipeName);
+// { cost } per yield unit, or { cost:0, error:"cycle"|"missing" }
+function subRecipeUnitCost(recipeName, stack){
+  const seen = stack || new Set();
+  if (seen.has(recipeName)) return { cost: 0, error: "cycle" };
+  const rows = getRecipeRowsSync(recipeName);
+  if (!rows) return { cost: 0, error: "missing" };
+  const next = new Set(seen);
+  next.add(recipeName);
+  return { cost: computeTotal(rows, next) / getRecipeYield(recipeName), error: null };
 }
 
-async function dbListRecipes(db){
-  const all = await dbGetAll(db);
-  const set = new Set();
-  for (let i=0;i<all.length;i++){
-    const it = all[i];
-    if (it && typeof it.recipeName === "string" && it.recipeName.trim()){
-      set.add(it.recipeName);
-    }
+// Every recipe reachable through sub-recipe rows of `recipeName`
+function collectSubRecipes(recipeName, acc){
+  const out = acc || new Set();
+  const rows = getRecipeRowsSync(recipeName) || [];
+  for (const r of rows){
+    if (!r.subRecipe || out.has(r.subRecipe)) continue;
+    out.add(r.subRecipe);
+    collectSubRecipes(r.subRecipe, out);
   }
-  return Array.from(set).sort((a,b)=>a.localeCompare(b));
+  return out;
 }
 
-async function dbPutItems(db, recipeName, rows){
-  const existing = await dbGetItems(db, recipeName);
-
-  const tx = db.transaction(STORE_ITEMS, "readwrite");
-  const store = tx.objectStore(STORE_ITEMS);
-
-  for (let i=0;i<existing.length;i++){
-    store.delete(existing[i].key);
-  }
-
-  for (let i=0;i<rows.length;i++){
-    const r = rows[i];
-    const Ingredient = String(r.name || "").trim();
-    if (!Ingredient) continue;
-    const RecipeAmmount = n(r.recipeAmount);
-    const key = `${recipeName}::${Ingredient}`;
-    store.put({ key, recipeName, Ingredient, RecipeAmmount });
-  }
-
-  return new Promise((resolve, reject) => {
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-    tx.onabort = () => reject(tx.error);
-  });
+// Would using `baseName` inside `recipeName` make a recipe include itself?
+function createsCycle(recipeName, baseName){
+  if (baseName === recipeName) return true;
+  return collectSubRecipes(baseName).has(recipeName);
 }
 
-async function dbDeleteRecipe(db, recipeName){
-  const existing = await dbGetItems(db, recipeName);
-
-  const tx = db.transaction(STORE_ITEMS, "readwrite");
-  const store = tx.objectStore(STORE_ITEMS);
-
-  for (let i=0;i<existing.length;i++){
-    store.delete(existing[i].key);
+// { [baseName]: [recipes that use it directly] }
+function getSubRecipeDependents(recipeNames){
+  const out = {};
+  for (const rn of recipeNames){
+    const rows = getRecipeRowsSync(rn) || [];
+    for (const r of rows){
+      if (!r.subRecipe) continue;
+      if (!out[r.subRecipe]) out[r.subRecipe] = [];
+      if (!out[r.subRecipe].includes(rn)) out[r.subRecipe].push(rn);
+    }
   }
-
-  return new Promise((resolve, reject) => {
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-    tx.onabort = () => reject(tx.error);
-  });
+  return out;
 }
 
+// Drawer open/close
+function openDrawer(){ document.body.classList.add("drawer-open"); }
+function closeDrawer(){ document.body.classList.remove("drawer-open"); }
+
 /* =========================
    UI helpers
    ========================= */
@@ -317,33 +932,126 @@ function setRecipeTitle(){
   if (el) el.textContent = currentRecipe;
 }
 
-function updateIngredientCacheFromRows(rows){
-  const cache = loadIngredientCache();
+// Push editor prices into the catalog (linked rows) and add priced, unlinked rows to it.
+function updateCatalogFromRows(rows){
+  const cat = loadCatalog();
   for (let i=0;i<rows.length;i++){
     const r = rows[i];
     const name = String(r.name || "").trim();
-    if (!name) continue;
-    if (r.cost > 0 || r.amount > 0){
-      cache[name] = { cost: n(r.cost), amount: n(r.amount) };
+    if (!name || isSubRecipeRow(r)) continue;
+    if (r.ingId && cat[r.ingId]){
+      cat[r.ingId].cost = n(r.cost);
+      cat[r.ingId].amount = n(r.amount);
+      setCatalogUnit(cat[r.ingId], r.unit);
+    }else if (r.cost > 0 || r.amount > 0){
+      r.ingId = upsertCatalogIngredient(cat, name, r.cost, r.amount, r.unit);
     }
   }
-  saveIngredientCache(cache);
+  saveCatalog(cat);
+  renderIngredientDatalist();
+}
+
+function renderIngredientDatalist(){
+  const dl = document.getElementById("ingredientOptions");
+  if (!dl) return;
+  const cat = loadCatalog();
+  dl.innerHTML = Object.values(cat)
+    .map(x => x.name)
+    .sort((a,b)=>a.localeCompare(b))
+    .map(name => `<option value="${escapeHtml(name)}"></option>`)
+    .join("");
+}
+
+function unitCostLabel(unit, buyUnit){
+  return `${money(unit)}/${unitLabel(buyUnit)}`;
+}
+function recipeCostLabel(c){
+  if (c.subError === "cycle") return "⚠ " + T("Ciclo");
+  if (c.subError === "missing") return "⚠ " + T("Sin receta");
+  return c.unitError ? "⚠ " + T("Unidades") : money(c.recipeCost);
+}
+function unitErrorTitle(r){
+  const c = computeRow(r);
+  if (c.subError === "cycle") return T("La sub-receta termina incluyéndose a sí misma");
+  if (c.subError === "missing") return T("No existe la receta “{name}”", { name: r.subRecipe });
+  return T("No se puede convertir {from} a {to}", { from: unitLabel(r.recipeUnit), to: unitLabel(c.buyUnit) });
+}
+function rowHasError(c){
+  return c.unitError || !!c.subError;
+}
+
+// Recipes that can be picked as a base for the current recipe (no cycles)
+function subRecipeOptionsHTML(selected){
+  const names = knownRecipeNames.filter(rn => rn === selected || !createsCycle(currentRecipe, rn));
+  if (selected && !names.includes(selected)) names.push(selected);
+  return `<option value="">${T("Elegir receta…")}</option>` + names
+    .map(rn => `<option value="${escapeHtml(rn)}"${rn === selected ? " selected" : ""}>${escapeHtml(rn)}</option>`)
+    .join("");
+}
+
+// Empty = the ingredient's default, shown as the placeholder
+function wasteInputHTML(r, idx){
+  return `<td><input data-k="wastePct" data-i="${idx}" inputmode="decimal" value="${hasOwnWaste(r) ? numInput(r.wastePct) : ""}" placeholder="${wastePlaceholder(r)}" title="${T("Merma % (vacío = valor del ingrediente)")}" /></td>`;
+}
+
+function wastePlaceholder(r){
+  const ing = catalogEntryForRow(r);
+  return (ing && n(ing.wastePct) > 0) ? numInput(clampWastePct(ing.wastePct)) : "0";
+}
+
+function wasteCostLabel(c){
+  return c.wasteCost > 0 ? money(c.wasteCost) : "—";
+}
+
+function buildSubRecipeRowHTML(r, idx){
+  const c = computeRow(r);
+  const err = rowHasError(c);
+  return `
+    <tr data-row="${idx}" class="subRecipeRow${err ? " unitError" : ""}">
+      <td><select data-k="subRecipe" data-i="${idx}" title="${T("Sub-receta")}">${subRecipeOptionsHTML(r.subRecipe)}</select></td>
+      <td><div class="qtyCell">
+        <input data-k="recipeAmount" data-i="${idx}" inputmode="decimal" value="${r.recipeAmount ? numInput(r.recipeAmount) : ""}" placeholder="0" />
+        <select data-k="recipeUnit" data-i="${idx}">${unitOptionsHTML(r.recipeUnit)}</select>
+      </div></td>
+      ${wasteInputHTML(r, idx)}
+      <td class="readonly" data-out="subCost" data-i="${idx}">${money(c.unit)}</td>
+      <td class="readonly muted">1 ${unitLabel("unidad")}</td>
+      <td class="readonly" data-out="unit" data-i="${idx}">${unitCostLabel(c.unit, c.buyUnit)}</td>
+      <td class="readonly" data-out="waste" data-i="${idx}">${wasteCostLabel(c)}</td>
+      <td class="readonly" data-out="recipeCost" data-i="${idx}"${err ? ` title="${escapeHtml(unitErrorTitle(r))}"` : ""}>${recipeCostLabel(c)}</td>
+      <td class="rowActions">
+        <button class="iconBtnSmall" type="button" data-up="${idx}" title="${T("Subir")}">↑</button>
+        <button class="iconBtnSmall" type="button" data-down="${idx}" title="${T("Bajar")}">↓</button>
+        <button class="btn btn-danger" type="button" data-del="${idx}">${T("Eliminar")}</button>
+      </td>
+    </tr>
+  `;
 }
 
 function buildRowHTML(r, idx){
-  const { unit, recipeCost } = computeRow(r);
+  if (isSubRecipeRow(r)) return buildSubRecipeRowHTML(r, idx);
+  const c = computeRow(r);
+  const locked = hasOffers(catalogEntryForRow(r)) ? ` disabled title="${escapeHtml(T("Precio de la oferta elegida. Edítalo en Proveedores."))}"` : "";
   return `
-    <tr data-row="${idx}">
-      <td><input data-k="name" data-i="${idx}" value="${escapeHtml(r.name)}" placeholder="e.g., Flour" /></td>
-      <td><input data-k="recipeAmount" data-i="${idx}" inputmode="decimal" value="${r.recipeAmount || ""}" placeholder="0" /></td>
-      <td><input data-k="cost" data-i="${idx}" inputmode="decimal" value="${r.cost || ""}" placeholder="0" /></td>
-      <td><input data-k="amount" data-i="${idx}" inputmode="decimal" value="${r.amount || ""}" placeholder="0" /></td>
-      <td class="readonly" data-out="unit" data-i="${idx}">${money(unit)}</td>
-      <td class="readonly" data-out="recipeCost" data-i="${idx}">${money(recipeCost)}</td>
+    <tr data-row="${idx}"${c.unitError ? ' class="unitError"' : ""}>
+      <td><input data-k="name" data-i="${idx}" value="${escapeHtml(r.name)}" placeholder="${T("ej. Harina")}" list="ingredientOptions"${r.ingId ? ` class="linked" title="${T("Vinculado al catálogo de ingredientes")}"` : ""} /></td>
+      <td><div class="qtyCell">
+        <input data-k="recipeAmount" data-i="${idx}" inputmode="decimal" value="${r.recipeAmount ? numInput(r.recipeAmount) : ""}" placeholder="0" />
+        <select data-k="recipeUnit" data-i="${idx}">${unitOptionsHTML(r.recipeUnit)}</select>
+      </div></td>
+      ${wasteInputHTML(r, idx)}
+      <td><input data-k="cost" data-i="${idx}" inputmode="decimal" value="${r.cost ? numInput(r.cost) : ""}" placeholder="0"${locked} /></td>
+      <td><div class="qtyCell">
+        <input data-k="amount" data-i="${idx}" inputmode="decimal" value="${r.amount ? numInput(r.amount) : ""}" placeholder="0"${locked} />
+        <select data-k="unit" data-i="${idx}"${locked}>${unitOptionsHTML(r.unit)}</select>
+      </div></td>
+      <td class="readonly" data-out="unit" data-i="${idx}">${unitCostLabel(c.unit, c.buyUnit)}</td>
+      <td class="readonly" data-out="waste" data-i="${idx}">${wasteCostLabel(c)}</td>
+      <td class="readonly" data-out="recipeCost" data-i="${idx}"${c.unitError ? ` title="${escapeHtml(unitErrorTitle(r))}"` : ""}>${recipeCostLabel(c)}</td>
       <td class="rowActions">
-        <button class="iconBtnSmall" type="button" data-up="${idx}" title="Subir">↑</button>
-        <button class="iconBtnSmall" type="button" data-down="${idx}" title="Bajar">↓</button>
-        <button class="btn btn-danger" type="button" data-del="${idx}">Delete</button>
+        <button class="iconBtnSmall" type="button" data-up="${idx}" title="${T("Subir")}">↑</button>
+        <button class="iconBtnSmall" type="button" data-down="${idx}" title="${T("Bajar")}">↓</button>
+        <button class="btn btn-danger" type="button" data-del="${idx}">${T("Eliminar")}</button>
       </td>
     </tr>
   `;
@@ -352,36 +1060,217 @@ function buildRowHTML(r, idx){
 function updateComputedForIndex(rows, idx){
   const r = rows[idx];
   if (!r) return;
-  const { unit, recipeCost } = computeRow(r);
+  const c = computeRow(r);
 
+  const tr = document.querySelector(`#tbody tr[data-row="${idx}"]`);
   const unitCell = document.querySelector(`[data-out="unit"][data-i="${idx}"]`);
   const recipeCell = document.querySelector(`[data-out="recipeCost"][data-i="${idx}"]`);
-  if (unitCell) unitCell.textContent = money(unit);
-  if (recipeCell) recipeCell.textContent = money(recipeCost);
+  const subCostCell = document.querySelector(`[data-out="subCost"][data-i="${idx}"]`);
+  const wasteCell = document.querySelector(`[data-out="waste"][data-i="${idx}"]`);
+  if (tr) tr.classList.toggle("unitError", rowHasError(c));
+  if (wasteCell) wasteCell.textContent = wasteCostLabel(c);
+  if (unitCell) unitCell.textContent = unitCostLabel(c.unit, c.buyUnit);
+  if (subCostCell) subCostCell.textContent = money(c.unit);
+  if (recipeCell){
+    recipeCell.textContent = recipeCostLabel(c);
+    recipeCell.title = rowHasError(c) ? unitErrorTitle(r) : "";
+  }
+}
+
+// Reflect the row's catalog link + copied price in its editor inputs
+function syncRowPurchaseInputs(idx){
+  const r = rowsState[idx];
+  if (!r) return;
+  const nameEl = document.querySelector(`#tbody [data-k="name"][data-i="${idx}"]`);
+  const costEl = document.querySelector(`#tbody [data-k="cost"][data-i="${idx}"]`);
+  const amountEl = document.querySelector(`#tbody [data-k="amount"][data-i="${idx}"]`);
+  const unitEl = document.querySelector(`#tbody [data-k="unit"][data-i="${idx}"]`);
+  const wasteEl = document.querySelector(`#tbody [data-k="wastePct"][data-i="${idx}"]`);
+  if (wasteEl) wasteEl.placeholder = wastePlaceholder(r);
+  if (nameEl){
+    nameEl.classList.toggle("linked", !!r.ingId);
+    nameEl.title = r.ingId ? T("Vinculado al catálogo de ingredientes") : "";
+  }
+  // Entries priced by supplier offers are edited in the offers dialog
+  const locked = hasOffers(catalogEntryForRow(r));
+  for (const el of [costEl, amountEl, unitEl]){
+    if (!el) continue;
+    el.disabled = locked;
+    el.title = locked ? T("Precio de la oferta elegida. Edítalo en Proveedores.") : "";
+  }
+  if (!r.ingId) return;
+  if (costEl && document.activeElement !== costEl) costEl.value = r.cost ? numInput(r.cost) : "";
+  if (amountEl && document.activeElement !== amountEl) amountEl.value = r.amount ? numInput(r.amount) : "";
+  if (unitEl) unitEl.value = normUnit(r.unit);
+}
+
+function setCellText(id, text){
+  const el = document.getElementById(id);
+  if (el) el.textContent = text;
 }
 
 function updateTotalAndPricing(rows){
-  const total = computeTotal(rows);
-  const totalCell = document.getElementById("totalCell");
-  if (totalCell) totalCell.textContent = money(total);
+  const c = computeRecipeCosts(rows, readRecipeSettingsFromUI());
+
+  // Table footer = ingredients only; the pricing cards show the full breakdown
+  setCellText("totalCell", money(c.ingredients));
+  setCellText("wasteTotalCell", c.waste > 0 ? money(c.waste) : "—");
+  setCellText("wasteCostCell", money(c.waste));
+
+  setCellText("ingredientCostCell", money(c.ingredients));
+  setCellText("laborCostCell", money(c.labor));
+  setCellText("ovenCostCell", money(c.oven));
+  setCellText("packagingCostCell", money(c.packaging));
+  setCellText("overheadCostCell", money(c.overhead));
+  setCellText("grandTotalCell", money(c.total));
+
+  setCellText("finalPriceCell", moneyInt(c.finalPrice));
+  setCellText("netPriceCell", money(c.netPrice));
+  setCellText("taxCell", money(c.taxAmount));
+  setCellText("unitCostCell", money(c.unitCost));
+  setCellText("unitPriceCell", moneyInt(c.unitPrice));
+
+  renderTargetPricing(rows, c);
+  updateSaleFormatOutputs(c);
+  renderNutritionPanel(rows, c.yieldQty);
+}
 
-  const marginEl = document.getElementById("marginPct");
-  const marginPct = marginEl ? n(marginEl.value) : 0;
+// Sale formats of the open recipe; edits are saved right away (outside undo)
+function currentSaleFormats(){
+  return parseSaleFormats(getRecipeSettings(currentRecipe).formats);
+}
 
-  const finalPrice = Math.round(total * (1 + marginPct / 100));
-  const finalCell = document.getElementById("finalPriceCell");
-  if (finalCell) finalCell.textContent = moneyInt(finalPrice);
+function saveSaleFormats(formats){
+  setRecipeSettings(currentRecipe, { formats });
+}
 
-  const yieldEl = document.getElementById("yieldQty");
-  const yieldQty = Math.max(1, n(yieldEl ? yieldEl.value : 1));
+function renderSaleFormatsTable(){
+  const tbody = document.getElementById("formatsTbody");
+  if (!tbody) return;
+  const formats = currentSaleFormats();
+  tbody.innerHTML = formats.length ? formats.map((f, i) => `
+    <tr>
+      <td><input data-format="${i}" data-k="name" value="${escapeHtml(f.name)}" placeholder="${T("Ej: porción")}" /></td>
+      <td><input data-format="${i}" data-k="units" inputmode="decimal" value="${numInput(f.units)}" /></td>
+      <td><input data-format="${i}" data-k="packagingPerUnit" inputmode="decimal" value="${f.packagingPerUnit === null ? "" : numInput(f.packagingPerUnit)}" /></td>
+      <td><input data-format="${i}" data-k="marginPct" inputmode="decimal" value="${f.marginPct === null ? "" : numInput(f.marginPct)}" /></td>
+      <td class="readonly" data-format-out="unitCost" data-i="${i}"></td>
+      <td class="readonly" data-format-out="unitPrice" data-i="${i}"></td>
+      <td><button class="iconBtnSmall" type="button" data-format-del="${i}" title="${T("Eliminar")}">✕</button></td>
+    </tr>
+  `).join("") : `<tr><td colspan="7" class="muted">${T("Sin formatos: se vende como la receta (rendimiento y margen de arriba).")}</td></tr>`;
+}
+
+function updateSaleFormatOutputs(c){
+  const tbody = document.getElementById("formatsTbody");
+  if (!tbody) return;
+  const g = loadSettings();
+  currentSaleFormats().forEach((f, i) => {
+    const fc = computeFormatCosts(c, f, g);
+    const cost = tbody.querySelector(`[data-format-out="unitCost"][data-i="${i}"]`);
+    const price = tbody.querySelector(`[data-format-out="unitPrice"][data-i="${i}"]`);
+    const pkg = tbody.querySelector(`[data-format="${i}"][data-k="packagingPerUnit"]`);
+    const margin = tbody.querySelector(`[data-format="${i}"][data-k="marginPct"]`);
+    if (cost) cost.textContent = money(fc.unitCost);
+    if (price) price.textContent = moneyInt(fc.unitPrice);
+    if (pkg) pkg.placeholder = numInput(c.packagingPerUnit);
+    if (margin) margin.placeholder = numInput(c.marginPct);
+  });
+}
+
+function addSaleFormat(){
+  const formats = currentSaleFormats();
+  formats.push({ id: newFormatId(), name: "", units: readRecipeSettingsFromUI().yieldQty, packagingPerUnit: null, marginPct: null });
+  saveSaleFormats(formats);
+  renderSaleFormatsTable();
+  if (rowsState) updateTotalAndPricing(rowsState);
+  const el = document.querySelector(`#formatsTbody [data-format="${formats.length - 1}"][data-k="name"]`);
+  if (el) el.focus();
+}
+
+// "Precio objetivo": with a fixed unit price (e.g. what a café pays), the margin
+// it leaves, the batch cost the current margin allows and the cut per ingredient
+function renderTargetPricing(rows, c){
+  const box = document.getElementById("targetResult");
+  const input = document.getElementById("targetUnitPrice");
+  if (!box || !input) return;
+  const target = optNum(input.value);
+  box.style.display = (target !== null && target > 0) ? "" : "none";
+  if (!(target > 0)) return;
+
+  const g = loadSettings();
+  const price = target * c.yieldQty;
+  const resultPct = effectiveMarginPct(price, c.total, g);
+  const maxCost = maxCostForPrice(price, c.marginPct, g);
+  const ingredientBudget = maxCost - c.overhead;
+  const gap = c.total - maxCost;
+
+  setCellText("targetMarginLabel", (g.pricingMode === "margin") ? T("Margen resultante") : T("Recargo resultante"));
+  setCellText("targetMarginCell", `${formatNumber(resultPct, 1)}%`);
+  const marginCell = document.getElementById("targetMarginCell");
+  if (marginCell) marginCell.classList.toggle("saleLoss", resultPct < 0);
+  setCellText("targetMaxCostLabel", T("Costo máximo del lote (a {pct}%)", { pct: formatNumber(c.marginPct, 1) }));
+  setCellText("targetMaxCostCell", money(maxCost));
+  setCellText("targetBudgetCell", money(Math.max(0, ingredientBudget)));
+
+  const tbody = document.getElementById("targetDropsTbody");
+  const table = document.getElementById("targetDropsTable");
+  let note;
+  let drops = [];
+  if (gap <= 0){
+    note = T("Viable: el lote cuesta {cost}, {slack} por debajo del máximo.", { cost: money(c.total), slack: money(-gap) });
+  }else if (ingredientBudget <= 0){
+    note = T("Ni con ingredientes gratis se llega: los costos indirectos ({overhead}) ya superan el máximo.", { overhead: money(c.overhead) });
+  }else{
+    // Same % cut on every ingredient closes the gap
+    const cut = gap / c.ingredients;
+    note = T("Los ingredientes deben bajar {gap} en total: un {pct}% cada uno.", { gap: money(gap), pct: formatNumber(cut * 100, 1) });
+    drops = rows.map(r => ({ name: String(isSubRecipeRow(r) ? r.subRecipe : r.name || "").trim(), cost: computeRow(r).recipeCost }))
+      .filter(x => x.name && x.cost > 0)
+      .sort((a, b) => b.cost - a.cost)
+      .map(x => ({ ...x, drop: x.cost * cut }));
+  }
+  setCellText("targetNote", note);
+  if (table) table.style.display = drops.length ? "" : "none";
+  if (tbody) tbody.innerHTML = drops.map(x => `
+    <tr>
+      <td>${escapeHtml(x.name)}</td>
+      <td>${money(x.cost)}</td>
+      <td>${money(x.cost - x.drop)}</td>
+      <td class="saleLoss">−${money(x.drop)}</td>
+    </tr>
+  `).join("");
+}
 
-  const unitCost = total / yieldQty;
-  const unitPrice = finalPrice / yieldQty;
+// Margin the target price leaves, rounded down so the price stays at or under
+// the target; null (after telling why) when there's nothing to apply
+function targetMarginToApply(){
+  const input = document.getElementById("targetUnitPrice");
+  const target = input ? optNum(input.value) : null;
+  if (!rowsState || !(target > 0)) return null;
+  const g = loadSettings();
+  const c = computeRecipeCosts(rowsState, readRecipeSettingsFromUI());
+  // Rounding (step, "up", 990 endings) can lift the price over the target: step down by 0.1
+  let tenths = Math.floor(effectiveMarginPct(target * c.yieldQty, c.total, g) * 10);
+  while (tenths > 0 && applyPricing(c.total, tenths / 10, g).finalPrice / c.yieldQty > target + 1e-9) tenths--;
+  const pct = tenths / 10;
+  if (pct <= 0){
+    alert(T("Con ese precio no queda ganancia; revisa los costos antes de aplicarlo."));
+    return null;
+  }
+  return pct;
+}
 
-  const unitCostCell = document.getElementById("unitCostCell");
-  const unitPriceCell = document.getElementById("unitPriceCell");
-  if (unitCostCell) unitCostCell.textContent = money(unitCost);
-  if (unitPriceCell) unitPriceCell.textContent = moneyInt(unitPrice);
+// Labels that depend on the pricing rules in Ajustes
+function applyPricingLabels(){
+  const g = loadSettings();
+  setCellText("marginLabel", pricingModeLabel(g));
+  setCellText("formatsMarginHead", pricingModeLabel(g));
+  const rounding = roundingLabel(g) + (g.taxEnabled ? T(", IVA {pct}% incluido", { pct: formatNumber(g.taxPct) }) : "");
+  setCellText("pricingNote", T("Se aplica sobre el costo total (ingredientes + indirectos). Precio final {rounding}.", { rounding }));
+  setCellText("taxLabel", T("IVA ({pct}%)", { pct: formatNumber(g.taxPct) }));
+  const taxRows = document.getElementById("taxRows");
+  if (taxRows) taxRows.style.display = g.taxEnabled ? "" : "none";
 }
 
 function renumberDOMIndices(){
@@ -398,22 +1287,14 @@ function renumberDOMIndices(){
 function renderTable(){
   const tbody = document.getElementById("tbody");
   if (!tbody) return;
+  hydrateRowsFromCatalog(rowsState);
   tbody.innerHTML = rowsState.map((r, i) => buildRowHTML(r, i)).join("");
   updateTotalAndPricing(rowsState);
 }
 
 async function listAllRecipeNames(){
-  const names = DB ? await dbListRecipes(DB) : [];
-  const set = new Set(names);
-
-  for (let i = 0; i < localStorage.length; i++){
-    const k = localStorage.key(i);
-    if (k && k.startsWith(ROWS_KEY_PREFIX)){
-      const rn = k.slice(ROWS_KEY_PREFIX.length);
-      if (rn) set.add(rn);
-    }
-  }
-  return Array.from(set).sort((a,b)=>a.localeCompare(b));
+  knownRecipeNames = AppStore.listRecipes();
+  return knownRecipeNames.slice();
 }
 
 function matchesFilters(recipeName, meta){
@@ -424,6 +1305,7 @@ function matchesFilters(recipeName, meta){
     const m = meta[recipeName];
     if (!m || !m.favorite) return false;
   }
+  if (tagFilter && !recipeHasTag(meta[recipeName], tagFilter)) return false;
   return true;
 }
 
@@ -442,7 +1324,7 @@ function renderRecipeList(recipeNames){
     const empty = document.createElement("div");
     empty.className = "pill";
     empty.style.padding = "10px";
-    empty.textContent = "No hay recetas con esos filtros.";
+    empty.textContent = T("No hay recetas con esos filtros.");
     list.appendChild(empty);
     return;
   }
@@ -457,7 +1339,7 @@ function renderRecipeList(recipeNames){
     const left = document.createElement("div");
     left.className = "recipeLeft";
     left.style.minWidth = "0";
-    left.innerHTML = `<div class="recipeName"><span>${escapeHtml(name)}</span></div>`;
+    left.innerHTML = `<div class="recipeName"><span>${escapeHtml(name)}</span></div>${recipeTagsHTML(m)}`;
 const right = document.createElement("div");
     right.style.display = "flex";
     right.style.gap = "8px";
@@ -467,7 +1349,7 @@ const right = document.createElement("div");
     favBtn.className = "iconBtn" + (m.favorite ? " favOn" : "");
     favBtn.type = "button";
     favBtn.textContent = m.favorite ? "★" : "☆";
-    favBtn.title = "Favorita";
+    favBtn.title = T("Favorita");
     favBtn.addEventListener("click", (ev) => {
       ev.stopPropagation();
       const meta2 = loadMeta();
@@ -481,44 +1363,61 @@ const right = document.createElement("div");
     const delBtn = document.createElement("button");
     delBtn.className = "iconBtn danger";
     delBtn.type = "button";
-    delBtn.textContent = "Delete";
+    delBtn.textContent = T("Eliminar");
+    delBtn.title = T("Mover a la papelera");
     delBtn.addEventListener("click", async (ev) => {
       ev.stopPropagation();
-      if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
-
       try{
-        localStorage.removeItem(getRowsKey(name));
-        if (DB) await dbDeleteRecipe(DB, name);
-
-        try{
-          const meta3 = loadMeta();
-          if (meta3 && meta3[name]) { delete meta3[name]; saveMeta(meta3); }
-        }catch{}
-
-        if (currentRecipe === name){
-          const remaining = await listAllRecipeNames();
-          if (remaining.length) await switchRecipe(remaining[0], true);
-          else{
-            await switchRecipe("Default", true);
-            saveRowsForRecipe("Default", rowsState);
-          }
-        }
-
-        closeDrawer();
-        await refreshRecipesUI();
-        syncCurrentRecipeMetaUI();
+        await moveRecipeToTrash(name);
       }catch(err){
         console.error("Delete recipe failed:", err);
-        alert("No se pudo eliminar la receta. Intenta nuevamente.");
+        alert(T("No se pudo eliminar la receta. Intenta nuevamente."));
       }
     });
 
-    right.appendChild(favBtn);
-    right.appendChild(delBtn);
-
-    div.appendChild(left);
-    div.appendChild(right);
-
+    const renameBtn = document.createElement("button");
+    renameBtn.className = "iconBtn";
+    renameBtn.type = "button";
+    renameBtn.textContent = "✎";
+    renameBtn.title = T("Renombrar");
+    renameBtn.addEventListener("click", async (ev) => {
+      ev.stopPropagation();
+      const next = prompt(T("Nuevo nombre para la receta:"), name);
+      if (next === null) return;
+      try{
+        await renameRecipe(name, next);
+      }catch(err){
+        console.error("Rename recipe failed:", err);
+        alert(T("No se pudo renombrar la receta. Intenta nuevamente."));
+      }
+    });
+
+    const dupBtn = document.createElement("button");
+    dupBtn.className = "iconBtn";
+    dupBtn.type = "button";
+    dupBtn.textContent = "⧉";
+    dupBtn.title = T("Duplicar receta");
+    dupBtn.addEventListener("click", async (ev) => {
+      ev.stopPropagation();
+      const suggested = suggestCopyName(name, knownRecipeNames);
+      const next = prompt(T("Nombre de la copia:"), suggested);
+      if (next === null) return;
+      try{
+        await duplicateRecipe(name, next);
+      }catch(err){
+        console.error("Duplicate recipe failed:", err);
+        alert(T("No se pudo duplicar la receta. Intenta nuevamente."));
+      }
+    });
+
+    right.appendChild(favBtn);
+    right.appendChild(renameBtn);
+    right.appendChild(dupBtn);
+    right.appendChild(delBtn);
+
+    div.appendChild(left);
+    div.appendChild(right);
+
     div.addEventListener("click", async () => {
       await switchRecipe(name, true);
       closeDrawer();
@@ -533,35 +1432,46 @@ const right = document.createElement("div");
 async function refreshRecipesUI(){
   const merged = await listAllRecipeNames();
   renderRecipeList(merged);
+  renderTrashList();
+  renderTagFilterOptions();
 }
 
-async function ensureRowsForRecipe(recipeName){
-  const fromLS = loadRowsForRecipe(recipeName);
-  if (fromLS) return fromLS;
-
-  if (DB){
-    const items = await dbGetItems(DB, recipeName);
-    if (items.length){
-      const cache = loadIngredientCache();
-      const built = items.map(it => {
-        const c = cache[it.Ingredient] || { cost: 0, amount: 0 };
-        return {
-          name: it.Ingredient,
-          cost: n(c.cost),
-          amount: n(c.amount),
-          recipeAmount: n(it.RecipeAmmount),
-        };
-      });
-      return built.length ? built : defaultRows();
-    }
+function recipeTagsHTML(m){
+  const parts = [];
+  if (m.category) parts.push(`<span class="badge categoryBadge">${escapeHtml(m.category)}</span>`);
+  for (const t of m.tags || []) parts.push(`<span class="badge">${escapeHtml(t)}</span>`);
+  return parts.length ? `<div class="recipeTags">${parts.join("")}</div>` : "";
+}
+
+// Tag pickers (drawer + Resumen) and the category suggestions follow the current meta
+function renderTagFilterOptions(){
+  const meta = loadMeta();
+  const tags = listMetaValues(meta, "tags");
+  if (tagFilter && !tags.some(t => normIngName(t) === normIngName(tagFilter))) tagFilter = "";
+  if (summaryTagFilter && !tags.some(t => normIngName(t) === normIngName(summaryTagFilter))) summaryTagFilter = "";
+
+  for (const [id, value] of [["tagFilter", tagFilter], ["summaryTagFilter", summaryTagFilter]]){
+    const sel = document.getElementById(id);
+    if (!sel) continue;
+    sel.innerHTML = `<option value="">${T("Todas las etiquetas")}</option>` +
+      tags.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join("");
+    sel.value = value;
+    sel.disabled = !tags.length;
   }
-  return defaultRows();
+
+  const dl = document.getElementById("categoryOptions");
+  if (dl) dl.innerHTML = listMetaValues(meta, "category").map(c => `<option value="${escapeHtml(c)}"></option>`).join("");
+}
+
+async function ensureRowsForRecipe(recipeName){
+  const rows = loadRowsForRecipe(recipeName);
+  return (rows && rows.length) ? hydrateRowsFromCatalog(rows) : defaultRows();
 }
 
 async function switchRecipe(recipeName, persist){
-  // Save settings for current recipe before switching
+  // Save settings + pending rows for current recipe before switching
   persistCurrentRecipeSettingsFromUI();
-  if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+  flushPendingSave();
 
   currentRecipe = recipeName;
   if (persist) setCurrentRecipe(recipeName);
@@ -578,24 +1488,32 @@ async function switchRecipe(recipeName, persist){
   setRecipeTitle();
   applyRecipeSettingsToUI();
   renderTable();
+  updateUndoButtons();
+  renderHistoryPanel();
 }
 
 function scheduleSave(){
   if (saveTimer) clearTimeout(saveTimer);
   saveTimer = setTimeout(() => {
+    saveTimer = null;
     try{ saveRowsForRecipe(currentRecipe, rowsState); }catch(e){}
   }, 250);
 }
 
+// Write a debounced save right away (other recipes may read these rows as a sub-recipe)
+function flushPendingSave(){
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try{ if (rowsState) saveRowsForRecipe(currentRecipe, rowsState); }catch(e){}
+}
+
 async function createRecipeClean(name){
-  // Save settings for current recipe before creating
+  // Save settings + pending rows for current recipe before creating
   persistCurrentRecipeSettingsFromUI();
-  if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+  flushPendingSave();
 
-  try{ localStorage.removeItem(getRowsKey(name)); }catch{}
-  if (DB){
-    try{ await dbDeleteRecipe(DB, name); }catch{}
-  }
+  AppStore.deleteRecipe(name);
 
   try{
     const meta = loadMeta();
@@ -612,10 +1530,387 @@ async function createRecipeClean(name){
   setRecipeTitle();
   applyRecipeSettingsToUI();
   renderTable();
+  updateUndoButtons();
+  renderHistoryPanel();
+
+  await refreshRecipesUI();
+  syncCurrentRecipeMetaUI();
+  closeDrawer();
+}
+
+/* =========================
+   Undo / redo (per recipe, in memory)
+   ========================= */
+const UNDO_LIMIT = 100;
+const undoStacks = new Map(); // recipeName -> { undo:[], redo:[], group:null }
+
+function getUndoStack(recipeName){
+  let st = undoStacks.get(recipeName);
+  if (!st){
+    st = { undo: [], redo: [], group: null };
+    undoStacks.set(recipeName, st);
+  }
+  return st;
+}
+
+function takeEditorSnapshot(){
+  return {
+    rows: JSON.parse(JSON.stringify(rowsState || [])),
+    settings: readRecipeSettingsFromUI(),
+  };
+}
+
+// Call before mutating rows/settings. Consecutive calls with the same group
+// (e.g. keystrokes in one cell) collapse into a single step.
+function recordUndo(group, settingsBefore){
+  if (!rowsState) return;
+  const st = getUndoStack(currentRecipe);
+  if (group && st.group === group) return;
+  const snap = takeEditorSnapshot();
+  if (settingsBefore) snap.settings = settingsBefore;
+  st.undo.push(snap);
+  if (st.undo.length > UNDO_LIMIT) st.undo.shift();
+  st.redo = [];
+  st.group = group || null;
+  updateUndoButtons();
+}
+
+// Next edit starts a new step (cell committed / focus moved)
+function endUndoGroup(){
+  const st = undoStacks.get(currentRecipe);
+  if (st) st.group = null;
+}
+
+function applyEditorSnapshot(snap){
+  rowsState = JSON.parse(JSON.stringify(snap.rows));
+
+  // Linked rows wrote their price to the catalog; put it back as well
+  const cat = loadCatalog();
+  let catChanged = false;
+  for (const r of rowsState){
+    const e = catalogEntryForRow(r);
+    if (!e) continue;
+    if (e.cost !== r.cost || e.amount !== r.amount || e.unit !== r.unit){
+      cat[r.ingId] = { ...e, cost: r.cost, amount: r.amount, unit: r.unit };
+      catChanged = true;
+    }
+  }
+  if (catChanged) saveCatalog(cat);
+
+  setRecipeSettings(currentRecipe, snap.settings);
+  applyRecipeSettingsToUI();
+  saveRowsForRecipe(currentRecipe, rowsState);
+  renderTable();
+  if (currentView === "summary") renderSummaryTable();
+}
+
+function undoEdit(){
+  const st = getUndoStack(currentRecipe);
+  if (!st.undo.length || !rowsState) return;
+  st.redo.push(takeEditorSnapshot());
+  st.group = null;
+  applyEditorSnapshot(st.undo.pop());
+  updateUndoButtons();
+}
+
+function redoEdit(){
+  const st = getUndoStack(currentRecipe);
+  if (!st.redo.length || !rowsState) return;
+  st.undo.push(takeEditorSnapshot());
+  st.group = null;
+  applyEditorSnapshot(st.redo.pop());
+  updateUndoButtons();
+}
+
+function updateUndoButtons(){
+  const st = undoStacks.get(currentRecipe);
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  if (undoBtn) undoBtn.disabled = !(st && st.undo.length);
+  if (redoBtn) redoBtn.disabled = !(st && st.redo.length);
+}
+
+/* =========================
+   Trash (Papelera)
+   ========================= */
+function loadTrash(){
+  const arr = AppStore.getSetting("trash", []);
+  return Array.isArray(arr) ? arr.filter(x => x && typeof x.name === "string") : [];
+}
+function saveTrash(list){
+  AppStore.setSetting("trash", list || []);
+}
+
+// Rows, settings and favorite flag go to the trash; the live recipe is removed
+async function moveRecipeToTrash(name){
+  if (name === currentRecipe){
+    persistCurrentRecipeSettingsFromUI();
+    flushPendingSave();
+  }
+
+  const rows = (name === currentRecipe && rowsState) ? rowsState : (loadRowsForRecipe(name) || await ensureRowsForRecipe(name));
+  const meta = loadMeta();
+  ensureMetaForRecipe(meta, name);
+
+  const trash = loadTrash();
+  const trashId = "del_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  trash.unshift({
+    id: trashId,
+    name,
+    deletedAt: new Date().toISOString(),
+    rows: JSON.parse(JSON.stringify(rows)),
+    meta: JSON.parse(JSON.stringify(meta[name])),
+  });
+  saveTrash(trash);
+
+  if (saveTimer && name === currentRecipe) { clearTimeout(saveTimer); saveTimer = null; }
+  undoStacks.delete(name);
+  AppStore.deleteRecipe(name);
+  moveRevisions(name, "trash:" + trashId); // history travels with the trash entry
+
+  if (currentRecipe === name){
+    const remaining = await listAllRecipeNames();
+    if (remaining.length) await switchRecipe(remaining[0], true);
+    else{
+      await switchRecipe("Default", true);
+      saveRowsForRecipe("Default", rowsState);
+    }
+  }
+
+  await refreshRecipesUI();
+  syncCurrentRecipeMetaUI();
+  if (currentView === "summary") await renderSummaryTable();
+}
+
+async function restoreRecipeFromTrash(id){
+  const trash = loadTrash();
+  const entry = trash.find(x => x.id === id);
+  if (!entry) return false;
+
+  const names = await listAllRecipeNames();
+  let target = entry.name;
+  const clash = findRecipeName(names, target);
+  if (clash){
+    const copyName = suggestCopyName(entry.name, names);
+    if (!confirm(T("Ya existe una receta llamada “{name}”. ¿Restaurar como “{copy}”?", { name: clash, copy: copyName }))) return false;
+    target = copyName;
+  }
+
+  const rows = Array.isArray(entry.rows) && entry.rows.length ? entry.rows : defaultRows();
+  saveRowsForRecipe(target, rows);
+  const restored = loadRowsForRecipe(target) || rows; // normalized shape
+  hydrateRowsFromCatalog(restored);
+  saveRowsForRecipe(target, restored);
+
+  const meta = loadMeta();
+  meta[target] = { ...(entry.meta || {}) };
+  ensureMetaForRecipe(meta, target);
+  saveMeta(meta);
+  moveRevisions("trash:" + id, target);
+
+  saveTrash(trash.filter(x => x.id !== id));
+  await refreshRecipesUI();
+  if (target === currentRecipe) renderHistoryPanel();
+  if (currentView === "summary") await renderSummaryTable();
+  if (rowsState) updateTotalAndPricing(rowsState); // sub-recipe costs may come back
+  return true;
+}
+
+function deleteTrashEntry(id){
+  const trash = loadTrash();
+  const entry = trash.find(x => x.id === id);
+  if (!entry) return;
+  if (!confirm(T("¿Eliminar “{name}” definitivamente? No se podrá recuperar.", { name: entry.name }))) return;
+  deleteRevisions("trash:" + id);
+  saveTrash(trash.filter(x => x.id !== id));
+  renderTrashList();
+}
+
+function emptyTrash(){
+  const trash = loadTrash();
+  if (!trash.length) return;
+  if (!confirm(T("¿Vaciar la papelera? Se eliminarán {count} receta(s) definitivamente.", { count: trash.length }))) return;
+  for (const x of trash) deleteRevisions("trash:" + x.id);
+  saveTrash([]);
+  renderTrashList();
+}
+
+// Drop entries older than the configured number of days (0 = never)
+function purgeOldTrash(){
+  const days = loadSettings().trashPurgeDays;
+  if (!days) return;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const trash = loadTrash();
+  const kept = trash.filter(x => {
+    const t = Date.parse(x.deletedAt);
+    return !Number.isFinite(t) || t >= cutoff;
+  });
+  for (const x of trash){
+    if (!kept.includes(x)) deleteRevisions("trash:" + x.id);
+  }
+  if (kept.length !== trash.length) saveTrash(kept);
+}
+
+function formatDate(iso){
+  const d = new Date(iso);
+  return Number.isFinite(d.getTime()) ? d.toLocaleDateString(I18n.locale()) : "";
+}
+
+function renderTrashList(){
+  const list = document.getElementById("trashList");
+  const count = document.getElementById("trashCount");
+  const emptyBtn = document.getElementById("emptyTrashBtn");
+  const trash = loadTrash();
+
+  if (count) count.textContent = String(trash.length);
+  if (emptyBtn) emptyBtn.disabled = !trash.length;
+  if (!list) return;
+
+  if (!trash.length){
+    list.innerHTML = `<div class="pill" style="padding:10px;">${T("La papelera está vacía.")}</div>`;
+    return;
+  }
+
+  list.innerHTML = trash.map(x => `
+    <div class="recipeItem trashItem" role="listitem">
+      <div class="recipeLeft" style="min-width:0;">
+        <div class="recipeName"><span>${escapeHtml(x.name)}</span>${x.meta && x.meta.favorite ? "<span>★</span>" : ""}</div>
+        <div class="pill">${escapeHtml(T("Eliminada el {date}", { date: formatDate(x.deletedAt) }))}</div>
+      </div>
+      <div class="rowRight">
+        <button class="iconBtn" type="button" data-restore="${escapeHtml(x.id)}">${T("Restaurar")}</button>
+        <button class="iconBtn danger" type="button" data-purge="${escapeHtml(x.id)}" title="${T("Eliminar definitivamente")}">✕</button>
+      </div>
+    </div>
+  `).join("");
+}
+
+/* =========================
+   Rename / duplicate
+   ========================= */
+// Existing recipe whose name matches `name` ignoring case/spaces/accents
+function findRecipeName(names, name){
+  const key = normIngName(name);
+  return names.find(rn => normIngName(rn) === key) || null;
+}
+
+function suggestCopyName(name, names){
+  let candidate = T("{name} (copia)", { name });
+  for (let i = 2; findRecipeName(names, candidate); i++) candidate = T("{name} (copia {i})", { name, i });
+  return candidate;
+}
+
+// Sub-recipe rows in every other recipe follow a renamed base
+function renameSubRecipeReferences(oldName, newName, names){
+  for (const rn of names){
+    const rows = (rn === currentRecipe && rowsState) ? rowsState : loadRowsForRecipe(rn);
+    if (!rows) continue;
+    let changed = false;
+    for (const r of rows){
+      if (isSubRecipeRow(r) && r.subRecipe === oldName){
+        r.subRecipe = newName;
+        r.name = newName;
+        changed = true;
+      }
+    }
+    if (changed) saveRowsForRecipe(rn, rows);
+  }
+}
+
+// Copies rows + meta of `fromName` into `toName`
+async function copyRecipeData(fromName, toName, metaPatch){
+  const rows = (fromName === currentRecipe && rowsState) ? rowsState : (loadRowsForRecipe(fromName) || await ensureRowsForRecipe(fromName));
+  const copy = JSON.parse(JSON.stringify(rows));
+  saveRowsForRecipe(toName, copy);
+
+  const meta = loadMeta();
+  ensureMetaForRecipe(meta, fromName);
+  meta[toName] = { ...JSON.parse(JSON.stringify(meta[fromName])), ...(metaPatch || {}) };
+  saveMeta(meta);
+  return copy;
+}
+
+async function renameRecipe(oldName, newNameRaw){
+  const newName = String(newNameRaw || "").trim();
+  if (!newName || newName === oldName) return false;
+
+  persistCurrentRecipeSettingsFromUI();
+  flushPendingSave();
+
+  const names = await listAllRecipeNames();
+  const clash = findRecipeName(names, newName);
+  if (clash && clash !== oldName){
+    alert(T("Ya existe una receta llamada “{name}”. Elige otro nombre.", { name: clash }));
+    return false;
+  }
+
+  await copyRecipeData(oldName, newName);
+
+  AppStore.deleteRecipe(oldName);
+
+  moveRevisions(oldName, newName);
+
+  if (undoStacks.has(oldName)){
+    undoStacks.set(newName, undoStacks.get(oldName));
+    undoStacks.delete(oldName);
+  }
+
+  if (currentRecipe === oldName){
+    currentRecipe = newName;
+    setCurrentRecipe(newName);
+    setRecipeTitle();
+  }
+  renameSubRecipeReferences(oldName, newName, names);
+  renameRecipeInOrders(oldName, newName);
+  renameRecipeInShopping(oldName, newName);
+  renameRecipeInSales(oldName, newName);
 
   await refreshRecipesUI();
   syncCurrentRecipeMetaUI();
+  if (rowsState) renderTable();
+  if (currentView === "summary") await renderSummaryTable();
+  return true;
+}
+
+async function duplicateRecipe(name, newNameRaw){
+  const newName = String(newNameRaw || "").trim();
+  if (!newName) return false;
+
+  persistCurrentRecipeSettingsFromUI();
+  flushPendingSave();
+
+  const names = await listAllRecipeNames();
+  const clash = findRecipeName(names, newName);
+  if (clash){
+    alert(T("Ya existe una receta llamada “{name}”. Elige otro nombre.", { name: clash }));
+    return false;
+  }
+
+  await copyRecipeData(name, newName, { favorite: false });
+  await switchRecipe(newName, true);
   closeDrawer();
+  await refreshRecipesUI();
+  syncCurrentRecipeMetaUI();
+  return true;
+}
+
+// "Crear" with a name that already exists: open it, or replace it only after confirming
+async function createOrOpenRecipe(name){
+  const names = await listAllRecipeNames();
+  const existing = findRecipeName(names, name);
+  if (existing){
+    const overwrite = confirm(T("La receta “{name}” ya existe.\n\nAceptar: reemplazarla por una receta vacía (se perderán sus ingredientes).\nCancelar: abrir la receta existente.", { name: existing }));
+    if (!overwrite){
+      await switchRecipe(existing, true);
+      closeDrawer();
+      await refreshRecipesUI();
+      syncCurrentRecipeMetaUI();
+      return;
+    }
+    await createRecipeClean(existing);
+    return;
+  }
+  await createRecipeClean(name);
 }
 
 function syncCurrentRecipeMetaUI(){
@@ -629,8 +1924,13 @@ function syncCurrentRecipeMetaUI(){
   if (favBtn){
     favBtn.textContent = m.favorite ? "★" : "☆";
     favBtn.classList.toggle("favOn", !!m.favorite);
-    favBtn.title = m.favorite ? "Quitar de favoritas" : "Marcar como favorita";
+    favBtn.title = m.favorite ? T("Quitar de favoritas") : T("Marcar como favorita");
   }
+
+  const catEl = document.getElementById("recipeCategory");
+  const tagsEl = document.getElementById("recipeTags");
+  if (catEl) catEl.value = m.category;
+  if (tagsEl) tagsEl.value = m.tags.join(", ");
 }
 
 /* =========================
@@ -642,20 +1942,33 @@ function syncCurrentRecipeMetaUI(){
    ========================= */
 let summarySearchQuery = "";
 let summaryFavOnly = false;
-let currentView = "editor"; // 'summary' | 'editor'
+let summaryTagFilter = "";
+let summaryGroupByCategory = true;
+let summaryShowFormats = false; // one extra line per sale format under its recipe
+let currentView = "editor"; // 'summary' | 'editor' | 'ingredients' | 'suppliers' | 'orders' | 'shopping' | 'sales' | 'settings' | 'prices'
+
+// view -> [section id, tab button id]
+const VIEWS = {
+  summary:     ["summaryView", "viewSummaryBtn"],
+  editor:      ["editorView", "viewEditorBtn"],
+  ingredients: ["ingredientsView", "viewIngredientsBtn"],
+  suppliers:   ["suppliersView", "viewSuppliersBtn"],
+  orders:      ["ordersView", "viewOrdersBtn"],
+  shopping:    ["shoppingView", "viewShoppingBtn"],
+  sales:       ["salesView", "viewSalesBtn"],
+  settings:    ["settingsView", null],
+  prices:      ["pricesView", null],
+};
 
 function setView(view){
   currentView = view;
-  const s = document.getElementById("summaryView");
-  const e = document.getElementById("editorView");
-  const bSum = document.getElementById("viewSummaryBtn");
-  const bEd  = document.getElementById("viewEditorBtn");
-
-  if (s) s.style.display = (view === "summary") ? "" : "none";
-  if (e) e.style.display = (view === "editor") ? "" : "none";
-
-  if (bSum) bSum.classList.toggle("active", view === "summary");
-  if (bEd)  bEd.classList.toggle("active", view === "editor");
+  for (const key of Object.keys(VIEWS)){
+    const [sectionId, btnId] = VIEWS[key];
+    const section = document.getElementById(sectionId);
+    const btn = btnId ? document.getElementById(btnId) : null;
+    if (section) section.style.display = (view === key) ? "" : "none";
+    if (btn) btn.classList.toggle("active", view === key);
+  }
 }
 
 function recipeIsFavorite(recipeName){
@@ -671,276 +1984,3039 @@ function getMarginPctFromUI(){
 }
 
 async function getRowsForSummary(recipeName){
-  const fromLS = loadRowsForRecipe(recipeName);
-  if (fromLS) return fromLS;
-
-  if (DB){
-    const items = await dbGetItems(DB, recipeName);
-    if (items.length){
-      const cache = loadIngredientCache();
-      return items.map(it => {
-        const c = cache[it.Ingredient] || { cost: 0, amount: 0 };
-        return {
-          name: it.Ingredient,
-          cost: n(c.cost),
-          amount: n(c.amount),
-          recipeAmount: n(it.RecipeAmmount),
-        };
-      });
-    }
-  }
-  return defaultRows();
+  return ensureRowsForRecipe(recipeName);
 }
 
 function matchesSummaryFilters(recipeName){
   const q = String(summarySearchQuery || "").trim().toLowerCase();
   if (q && !recipeName.toLowerCase().includes(q)) return false;
   if (summaryFavOnly && !recipeIsFavorite(recipeName)) return false;
+  if (summaryTagFilter && !recipeHasTag(loadMeta()[recipeName], summaryTagFilter)) return false;
   return true;
 }
 
+// Resumen columns after the name; optional ones are picked in "Columnas" (labels go through T())
+const SUMMARY_COLUMNS = [
+  { key: "ingredients", label: "Ingredientes",        value: c => c.ingredients, fmt: money },
+  { key: "waste",       label: "Merma",               value: c => c.waste, fmt: money },
+  { key: "overhead",    label: "Indirectos",          value: c => c.overhead, fmt: money },
+  { key: "total",       label: "Costo total",         value: c => c.total, fmt: money },
+  { key: "finalPrice",  label: "Precio final",        value: c => c.finalPrice, fmt: moneyInt },
+  { key: "marginPct",   label: "Margen %",            value: c => c.marginPct, fmt: v => `${formatNumber(v, 1)}%`, optional: true },
+  { key: "yieldQty",    label: "Rendimiento",         value: c => c.yieldQty, fmt: v => formatNumber(v), optional: true },
+  { key: "unitCost",    label: "Costo unitario",      value: c => c.unitCost, fmt: money, optional: true },
+  { key: "unitPrice",   label: "Precio unitario",     value: c => c.unitPrice, fmt: moneyInt, optional: true },
+  { key: "profit",      label: "Ganancia por lote",   value: c => c.netPrice - c.total, fmt: money, optional: true },
+  { key: "unitProfit",  label: "Ganancia por unidad", value: c => (c.netPrice - c.total) / c.yieldQty, fmt: money, optional: true },
+];
+
+// "name" or a SUMMARY_COLUMNS key; dir 1 = ascending
+let summarySort = { key: "name", dir: 1 };
+
+function loadSummaryColumns(){
+  const keys = AppStore.getSetting("summaryColumns", []);
+  return Array.isArray(keys) ? keys : [];
+}
+
+function visibleSummaryColumns(){
+  const picked = new Set(loadSummaryColumns());
+  return SUMMARY_COLUMNS.filter(col => !col.optional || picked.has(col.key));
+}
+
+function toggleSummaryColumn(key, on){
+  const keys = loadSummaryColumns().filter(k => k !== key);
+  if (on) keys.push(key);
+  AppStore.setSetting("summaryColumns", keys);
+}
+
+function renderSummaryColumnPicker(){
+  const box = document.getElementById("summaryColumnsList");
+  if (!box) return;
+  const picked = new Set(loadSummaryColumns());
+  box.innerHTML = SUMMARY_COLUMNS.filter(col => col.optional).map(col => `
+    <label class="check">
+      <input type="checkbox" data-summary-col="${col.key}"${picked.has(col.key) ? " checked" : ""} />
+      <span>${escapeHtml(T(col.label))}</span>
+    </label>
+  `).join("");
+}
+
+// Visible recipes with their figures, sorted by summarySort
+async function getSummaryData(){
+  const names = await listAllRecipeNames();
+  const filtered = names.filter(matchesSummaryFilters);
+  const dependents = getSubRecipeDependents(names);
+  const meta = loadMeta();
+
+  const data = [];
+  for (const name of filtered){
+    const rows = await getRowsForSummary(name);
+    const s = getRecipeSettings(name);
+    const c = computeRecipeCosts(rows, s);
+    const values = {};
+    for (const col of SUMMARY_COLUMNS) values[col.key] = col.value(c);
+    const formats = parseSaleFormats(s.formats).map(f => {
+      const fc = computeFormatCosts(c, f);
+      const fv = {};
+      for (const col of SUMMARY_COLUMNS) fv[col.key] = col.value(fc);
+      return { name: formatLabel(f), values: fv };
+    });
+    data.push({
+      name,
+      meta: meta[name] || {},
+      values,
+      formats,
+      usedBy: dependents[name] || [],
+      unitIssues: rows.filter(r => rowHasError(computeRow(r))).length,
+    });
+  }
+
+  const { key, dir } = summarySort;
+  data.sort((a,b) => {
+    const d = (key === "name") ? a.name.localeCompare(b.name) : (a.values[key] - b.values[key]);
+    return (d * dir) || a.name.localeCompare(b.name);
+  });
+  return data;
+}
+
+function summaryAverages(data, columns){
+  const out = {};
+  for (const col of columns){
+    out[col.key] = data.length ? data.reduce((sum, x) => sum + x.values[col.key], 0) / data.length : 0;
+  }
+  return out;
+}
+
+function renderSummaryHead(columns){
+  const thead = document.getElementById("summaryThead");
+  if (!thead) return;
+  const th = (key, label) => {
+    const on = summarySort.key === key;
+    const arrow = on ? (summarySort.dir > 0 ? " ▲" : " ▼") : "";
+    return `<th class="sortable${on ? " sorted" : ""}" data-sort="${key}" title="${escapeHtml(T("Ordenar por {col}", { col: label }))}">${escapeHtml(label)}${arrow}</th>`;
+  };
+  thead.innerHTML = `<tr>${th("name", T("Nombre receta"))}${columns.map(col => th(col.key, T(col.label))).join("")}</tr>`;
+}
+
+// Filters re-render while a previous render may still be loading rows; only the latest one writes
+let summaryRenderSeq = 0;
+
 async function renderSummaryTable(){
   const tbody = document.getElementById("summaryTbody");
+  const tfoot = document.getElementById("summaryTfoot");
   if (!tbody) return;
+  const seq = ++summaryRenderSeq;
 
   // Margin is per-recipe (stored in meta)
 
-  const names = await listAllRecipeNames();
-  const filtered = names.filter(matchesSummaryFilters);
+  const data = await getSummaryData();
+  if (seq !== summaryRenderSeq) return;
 
+  const columns = visibleSummaryColumns();
+  renderSummaryHead(columns);
   tbody.innerHTML = "";
+  if (tfoot) tfoot.innerHTML = "";
 
-  if (!filtered.length){
+  if (!data.length){
     const tr = document.createElement("tr");
-    tr.innerHTML = `<td colspan="3" class="muted" style="padding:12px;">No hay recetas con esos filtros.</td>`;
+    tr.innerHTML = `<td colspan="${columns.length + 1}" class="muted" style="padding:12px;">${T("No hay recetas con esos filtros.")}</td>`;
     tbody.appendChild(tr);
     return;
   }
 
-  for (const name of filtered){
-    const rows = await getRowsForSummary(name);
-    const total = computeTotal(rows);
-    const s = getRecipeSettings(name);
-    const finalPrice = Math.round(total * (1 + n(s.marginPct) / 100));
+  const groups = summaryGroupByCategory ? groupByCategory(data) : [[null, data]];
 
-    const tr = document.createElement("tr");
-    tr.className = "summaryRow";
-    tr.innerHTML = `
-      <td class="summaryName">
-        <span class="name">${escapeHtml(name)}</span>
-        
-      </td>
-      <td>${money(total)}</td>
-      <td>${moneyInt(finalPrice)}</td>
-    `;
+  for (const [category, items] of groups){
+    if (category !== null){
+      const tr = document.createElement("tr");
+      tr.className = "summaryGroup";
+      tr.innerHTML = `<td colspan="${columns.length + 1}">${escapeHtml(category || T("Sin categoría"))} <span class="muted">(${items.length})</span></td>`;
+      tbody.appendChild(tr);
+    }
+    for (const x of items) appendSummaryRow(tbody, x, columns);
+  }
 
-    tr.addEventListener("click", async () => {
-      await switchRecipe(name, true);
-      setView("editor");
-      syncCurrentRecipeMetaUI();
-      await refreshRecipesUI();
-    });
+  if (tfoot){
+    const avg = summaryAverages(data, columns);
+    tfoot.innerHTML = `
+      <tr class="summaryFoot">
+        <td>${T("Promedio ({count})", { count: data.length })}</td>
+        ${columns.map(col => `<td>${col.fmt(avg[col.key])}</td>`).join("")}
+      </tr>
+    `;
+  }
+}
 
-    tbody.appendChild(tr);
+// [[category, items], ...] by category name, "Sin categoría" ("") last; items keep
+// their order. A single [null, items] group when no recipe has a category
+function groupByCategory(items){
+  const byCat = new Map();
+  for (const x of items){
+    const cat = x.meta.category || "";
+    const key = normIngName(cat);
+    if (!byCat.has(key)) byCat.set(key, [cat, []]);
+    byCat.get(key)[1].push(x);
   }
+  if (byCat.size === 1 && byCat.has("")) return [[null, items]];
+  return Array.from(byCat.values())
+    .sort((a,b) => (!a[0]) - (!b[0]) || a[0].localeCompare(b[0]));
 }
 
+function appendSummaryRow(tbody, x, columns){
+  const { name, usedBy, unitIssues } = x;
+  const tr = document.createElement("tr");
+  tr.className = "summaryRow";
+  tr.innerHTML = `
+    <td class="summaryName">
+      <span class="name">${escapeHtml(name)}</span>
+      ${unitIssues ? `<span class="star" title="${T("{count} ingrediente(s) con unidades o sub-recetas inválidas", { count: unitIssues })}">⚠</span>` : ""}
+      ${usedBy.length ? `<span class="badge" title="${escapeHtml(T("Usada en: {list}", { list: usedBy.join(", ") }))}">${escapeHtml(T("Base de: {list}", { list: usedBy.join(", ") }))}</span>` : ""}
+      ${(x.meta.tags || []).map(t => `<span class="badge">${escapeHtml(t)}</span>`).join("")}
+    </td>
+    ${columns.map(col => `<td>${col.fmt(x.values[col.key])}</td>`).join("")}
+  `;
 
-/* =========================
-   Export / Import DB (ingredients per recipe)
-   ========================= */
-function downloadJson(filename, obj){
-  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  const open = async () => {
+    await switchRecipe(name, true);
+    setView("editor");
+    syncCurrentRecipeMetaUI();
+    await refreshRecipesUI();
+  };
+  tr.addEventListener("click", open);
+  tbody.appendChild(tr);
+
+  for (const f of summaryShowFormats ? x.formats : []){
+    const ftr = document.createElement("tr");
+    ftr.className = "summaryRow summaryFormatRow";
+    ftr.innerHTML = `
+      <td class="summaryName">↳ ${escapeHtml(f.name)}</td>
+      ${columns.map(col => `<td>${col.fmt(f.values[col.key])}</td>`).join("")}
+    `;
+    ftr.addEventListener("click", open);
+    tbody.appendChild(ftr);
+  }
 }
 
+function csvCell(v){
+  const s = String(v ?? "");
+  return /[",;\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
 
-async function exportIngredientsDB(){
-  const names = await listAllRecipeNames();
-  const meta = loadMeta();
-  for (const rn of names) ensureMetaForRecipe(meta, rn);
-  saveMeta(meta);
+// Visible table as CSV (same filters, order and columns); plain numbers so spreadsheets can sum them
+async function exportSummaryCSV(){
+  const data = await getSummaryData();
+  const columns = visibleSummaryColumns();
+  const num = (v) => String(Math.round(v * 100) / 100);
+
+  const lines = [[T("Receta"), T("Categoría"), T("Etiquetas"), ...columns.map(col => T(col.label))]];
+  for (const x of data){
+    lines.push([x.name, x.meta.category || "", (x.meta.tags || []).join(", "), ...columns.map(col => num(x.values[col.key]))]);
+    for (const f of summaryShowFormats ? x.formats : []){
+      lines.push([`${x.name} — ${f.name}`, x.meta.category || "", (x.meta.tags || []).join(", "), ...columns.map(col => num(f.values[col.key]))]);
+    }
+  }
+  if (data.length){
+    const avg = summaryAverages(data, columns);
+    lines.push([T("Promedio ({count})", { count: data.length }), "", "", ...columns.map(col => num(avg[col.key]))]);
+  }
 
-  const outRecipes = [];
+  const csv = lines.map(l => l.map(csvCell).join(",")).join("\r\n");
+  // BOM so Excel opens the accents as UTF-8
+  downloadBlob("resumen_recetas.csv", new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8" }));
+}
 
-  for (const recipeName of names){
-    // Load rows as they appear in editor (includes cost/amount/recipeAmount)
-    const rows = loadRowsForRecipe(recipeName) || defaultRows();
-    const s = getRecipeSettings(recipeName);
 
-    const normalizedRows = rows.map(r => {
-      const ingredient = String(r.name || "").trim();
-      const cost = n(r.cost);
-      const amount = n(r.amount);
-      const recipeAmount = n(r.recipeAmount);
+/* =========================
+   Settings View (global defaults)
+   ========================= */
+// [input id, settings key]
+const SETTINGS_INPUTS = [
+  ["settingLaborRate", "laborRatePerHour"],
+  ["settingOvenRate", "ovenRatePerHour"],
+  ["settingPackaging", "packagingPerUnit"],
+  ["settingTrashDays", "trashPurgeDays"],
+];
+
+function renderSettingsView(){
+  const g = loadSettings();
+  for (const [id, key] of SETTINGS_INPUTS){
+    const el = document.getElementById(id);
+    if (el) el.value = g[key] ? numInput(g[key]) : "";
+  }
 
-      const unitCost = (amount > 0) ? (cost / amount) : 0;
-      const recipeCost = unitCost * recipeAmount;
+  const modeEl = document.getElementById("settingPricingMode");
+  const taxOnEl = document.getElementById("settingTaxEnabled");
+  const taxPctEl = document.getElementById("settingTaxPct");
+  const roundEl = document.getElementById("settingRounding");
+  if (modeEl) modeEl.value = g.pricingMode;
+  if (taxOnEl) taxOnEl.checked = g.taxEnabled;
+  if (taxPctEl) taxPctEl.value = numInput(g.taxPct);
+  if (roundEl) roundEl.value = (g.roundMode === "end990") ? "end990" : `${g.roundMode}:${g.roundStep}`;
+  renderLocaleSettings(g);
+
+  const backupCard = document.getElementById("legacyBackupCard");
+  if (backupCard) backupCard.hidden = !AppStore.getLegacyBackup();
+}
 
-      return {
-        ingredient,
+function onGlobalSettingsChange(){
+  const patch = {};
+  for (const [id, key] of SETTINGS_INPUTS){
+    const el = document.getElementById(id);
+    if (el) patch[key] = Math.max(0, n(el.value));
+  }
+
+  const modeEl = document.getElementById("settingPricingMode");
+  const taxOnEl = document.getElementById("settingTaxEnabled");
+  const taxPctEl = document.getElementById("settingTaxPct");
+  const roundEl = document.getElementById("settingRounding");
+  if (modeEl) patch.pricingMode = modeEl.value;
+  if (taxOnEl) patch.taxEnabled = taxOnEl.checked;
+  if (taxPctEl) patch.taxPct = Math.max(0, n(taxPctEl.value));
+  if (roundEl){
+    // "end990" or "<mode>:<step>"
+    const [mode, step] = roundEl.value.split(":");
+    patch.roundMode = mode;
+    if (step) patch.roundStep = n(step);
+  }
+
+  saveSettings(patch);
+  applyOverheadPlaceholders();
+  applyPricingLabels();
+  purgeOldTrash();
+  renderTrashList();
+  if (rowsState) updateTotalAndPricing(rowsState);
+}
+
+// Language + currency card. Picking a currency fills in its symbol, decimals and
+// separator, which can then be edited on their own.
+function renderLocaleSettings(g){
+  const langEl = document.getElementById("settingLanguage");
+  if (!langEl) return;
+  langEl.innerHTML = Object.entries(I18n.LANGS)
+    .map(([code, label]) => `<option value="${code}"${code === g.language ? " selected" : ""}>${escapeHtml(label)}</option>`)
+    .join("");
+  document.getElementById("settingCurrency").value = g.currency;
+  document.getElementById("settingCurrencySymbol").value = g.currencySymbol;
+  document.getElementById("settingCurrencyDecimals").value = String(g.currencyDecimals);
+  document.getElementById("settingThousandsSep").value = g.thousandsSep;
+  setCellText("settingMoneyPreview", T("Ejemplo: {money}", { money: money(1234567.891) }));
+}
+
+function onLocaleSettingsChange(e){
+  const id = e && e.target ? e.target.id : "";
+  const patch = {
+    language: document.getElementById("settingLanguage").value,
+    currency: document.getElementById("settingCurrency").value,
+  };
+  if (id === "settingCurrency"){
+    Object.assign(patch, CURRENCIES[patch.currency] || {});
+  }else{
+    patch.currencySymbol = document.getElementById("settingCurrencySymbol").value;
+    patch.currencyDecimals = n(document.getElementById("settingCurrencyDecimals").value);
+    patch.thousandsSep = document.getElementById("settingThousandsSep").value;
+  }
+  saveSettings(patch);
+  refreshLocalizedUI();
+  // Keep the caret in the symbol box while typing
+  if (id !== "settingCurrencySymbol") renderLocaleSettings(loadSettings());
+  else setCellText("settingMoneyPreview", T("Ejemplo: {money}", { money: money(1234567.891) }));
+}
+
+// Everything drawn from JS after the language or number format changed
+// (the static markup was already re-translated by applyLocaleSettings)
+function refreshLocalizedUI(){
+  applyOverheadPlaceholders();
+  applyPricingLabels();
+  applyRecipeSettingsToUI();
+  syncCurrentRecipeMetaUI();
+  if (rowsState) renderTable();
+  refreshRecipesUI();
+  renderHistoryPanel();
+  renderIngredientDatalist();
+  renderSummaryColumnPicker();
+}
+
+/* =========================
+   Ingredients View (catalog)
+   ========================= */
+let ingredientSearchQuery = "";
+
+// { [ingId]: [recipeName, ...] } for every saved recipe
+async function getCatalogUsage(){
+  const usage = {};
+  const names = await listAllRecipeNames();
+  for (const rn of names){
+    const rows = (rn === currentRecipe && rowsState) ? rowsState : await getRowsForSummary(rn);
+    for (const r of rows){
+      if (!r.ingId) continue;
+      if (!usage[r.ingId]) usage[r.ingId] = [];
+      if (!usage[r.ingId].includes(rn)) usage[r.ingId].push(rn);
+    }
+  }
+  return usage;
+}
+
+function catalogUnitCost(ing){
+  return (ing.amount > 0) ? (ing.cost / ing.amount) : 0;
+}
+
+// With supplier offers the price comes from the picked offer, so it isn't typed here
+function buildIngredientRowHTML(ing, usedIn){
+  const id = escapeHtml(ing.id);
+  const picked = pickOffer(ing, loadSettings());
+  const locked = hasOffers(ing) ? ` disabled title="${escapeHtml(T("Precio de la oferta elegida. Edítalo en Proveedores."))}"` : "";
+  return `
+    <tr data-ing-row="${id}" class="${isLowStock(ing) ? "lowStock" : ""}">
+      <td><input data-ing="${id}" data-k="name" value="${escapeHtml(ing.name)}" /></td>
+      <td><input data-ing="${id}" data-k="cost" inputmode="decimal" value="${ing.cost ? numInput(ing.cost) : ""}" placeholder="0"${locked} /></td>
+      <td><div class="qtyCell">
+        <input data-ing="${id}" data-k="amount" inputmode="decimal" value="${ing.amount ? numInput(ing.amount) : ""}" placeholder="0"${locked} />
+        <select data-ing="${id}" data-k="unit"${locked}>${unitOptionsHTML(ing.unit)}</select>
+      </div></td>
+      <td class="readonly" data-ing-out="${id}">${unitCostLabel(catalogUnitCost(ing), normUnit(ing.unit))}</td>
+      <td><input data-ing="${id}" data-k="wastePct" inputmode="decimal" value="${n(ing.wastePct) ? numInput(clampWastePct(ing.wastePct)) : ""}" placeholder="0" title="${T("Merma por defecto al usarlo en una receta")}" /></td>
+      <td><button class="btn btn-secondary offerBtn" type="button" data-ing-offers="${id}">${hasOffers(ing)
+        ? `${escapeHtml(picked ? (picked.supplier || T("Sin nombre")) : "—")} <span class="muted">(${ing.offers.length})</span>`
+        : T("+ Proveedor")}</button></td>
+      <td><div class="qtyCell">
+        <input data-ing="${id}" data-k="stock" inputmode="decimal" value="${isStockTracked(ing) ? numInput(ing.stock) : ""}" placeholder="—" />
+        <span class="muted" data-ing-unit="${id}">${unitLabel(ing.unit)}</span>
+      </div></td>
+      <td><input data-ing="${id}" data-k="minStock" inputmode="decimal" value="${n(ing.minStock) ? numInput(ing.minStock) : ""}" placeholder="0" /></td>
+      <td class="muted" title="${escapeHtml(usedIn.join(", "))}">${usedIn.length}</td>
+      <td class="orderActions">
+        <button class="iconBtnSmall nutritionBtn${hasNutrition(ing) ? "" : " noData"}" type="button" data-ing-nutrition="${id}" title="${hasNutrition(ing) ? T("Nutrición y alérgenos") : T("Sin datos nutricionales")}">🥗</button>
+        <button class="iconBtnSmall" type="button" data-ing-buy="${id}" title="${T("Registrar compra")}">🛒</button>
+        <button class="btn btn-danger" type="button" data-ing-del="${id}">${T("Eliminar")}</button>
+      </td>
+    </tr>
+  `;
+}
+
+async function renderIngredientsView(){
+  const tbody = document.getElementById("ingredientsTbody");
+  if (!tbody) return;
+
+  const cat = loadCatalog();
+  const usage = await getCatalogUsage();
+  const q = normIngName(ingredientSearchQuery);
+
+  const list = Object.values(cat)
+    .filter(x => !q || normIngName(x.name).includes(q))
+    .sort((a,b)=>a.name.localeCompare(b.name));
+
+  if (!list.length){
+    tbody.innerHTML = `<tr><td colspan="10" class="muted" style="padding:12px;">${T("No hay ingredientes con esos filtros.")}</td></tr>`;
+    renderInventorySummary();
+    return;
+  }
+  renderInventorySummary();
+  tbody.innerHTML = list.map(ing => buildIngredientRowHTML(ing, usage[ing.id] || [])).join("");
+}
+
+// A catalog price/name changed: refresh everything that derives from it.
+function onCatalogChanged(){
+  renderIngredientDatalist();
+  if (rowsState){
+    hydrateRowsFromCatalog(rowsState);
+    if (currentView === "editor") renderTable();
+    else updateTotalAndPricing(rowsState);
+  }
+  if (currentView === "summary") renderSummaryTable();
+}
+
+function addCatalogIngredient(name, cost, amount, unit){
+  const cat = loadCatalog();
+  if (findCatalogIdByName(cat, name)){
+    alert(T("Ese ingrediente ya existe en el catálogo."));
+    return false;
+  }
+  upsertCatalogIngredient(cat, name, cost, amount, unit);
+  saveCatalog(cat);
+  onCatalogChanged();
+  return true;
+}
+
+async function deleteCatalogIngredient(id){
+  const cat = loadCatalog();
+  const ing = cat[id];
+  if (!ing) return;
+
+  const usedIn = (await getCatalogUsage())[id] || [];
+  const msg = usedIn.length
+    ? T("“{name}” se usa en {count} receta(s). ¿Eliminarlo del catálogo? Las recetas conservarán el último precio.", { name: ing.name, count: usedIn.length })
+    : T("¿Eliminar “{name}” del catálogo?", { name: ing.name });
+  if (!confirm(msg)) return;
+
+  // Unlink saved rows so they keep their last known price
+  for (const rn of usedIn){
+    const rows = loadRowsForRecipe(rn);
+    if (!rows) continue;
+    for (const r of rows){
+      if (r.ingId === id){ r.cost = n(ing.cost); r.amount = n(ing.amount); r.unit = normUnit(ing.unit); r.ingId = null; }
+    }
+    saveRowsForRecipe(rn, rows);
+  }
+  if (rowsState){
+    for (const r of rowsState){
+      if (r.ingId === id) r.ingId = null;
+    }
+  }
+
+  delete cat[id];
+  saveCatalog(cat);
+  onCatalogChanged();
+  await renderIngredientsView();
+}
+
+/* =========================
+   Price report (inflation impact)
+   Recipe costs "as of" a date are computed with the catalog prices of that
+   date; rows not linked to the catalog keep their own price.
+   ========================= */
+let priceReportDays = 90;
+
+function catalogAsOf(date){
+  const out = {};
+  for (const [id, ing] of Object.entries(loadCatalog())){
+    const p = priceAsOf(ing, date);
+    out[id] = { ...ing, cost: n(p.cost), amount: n(p.amount), unit: normUnit(p.unit) };
+  }
+  return out;
+}
+
+function recipeTotalsAsOf(names, date){
+  return recipeTotalsWithCatalog(names, catalogAsOf(date));
+}
+
+// Totals computed against another copy of the catalog (dated prices, one supplier)
+function recipeTotalsWithCatalog(names, cat){
+  const current = loadCatalog();
+  catalogCache = cat;
+  try{
+    const out = {};
+    for (const rn of names){
+      const rows = getRecipeRowsSync(rn) || [];
+      out[rn] = computeRecipeCosts(rows, getRecipeSettings(rn)).total;
+    }
+    return out;
+  }finally{
+    catalogCache = current;
+  }
+}
+
+function sparklineSVG(values){
+  if (values.length < 2) return "";
+  const w = 90, h = 22;
+  const min = Math.min(...values), max = Math.max(...values);
+  const y = (v) => (max > min) ? (h - 2 - (v - min) / (max - min) * (h - 4)) : h / 2;
+  const pts = values.map((v, i) => `${(i / (values.length - 1) * w).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+  const up = values[values.length - 1] > values[0];
+  return `<svg class="sparkline${up ? " up" : ""}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" aria-hidden="true"><polyline points="${pts}" /></svg>`;
+}
+
+function formatPctChange(a, b){
+  if (!a || a === b) return "—";
+  const pct = (b - a) / a * 100;
+  return `${pct > 0 ? "+" : ""}${formatNumber(pct, 1, 1)}%`;
+}
+
+// Ingredients with at least one price, with their change over the period
+function ingredientPriceTrends(since){
+  return Object.values(loadCatalog())
+    .filter(ing => pricePerRefUnit(ing) > 0)
+    .map(ing => {
+      const hist = Array.isArray(ing.priceHistory) ? ing.priceHistory : [];
+      const refUnit = priceRefUnit(ing.unit);
+      const perRef = (p) => (priceRefUnit(p.unit) === refUnit) ? pricePerRefUnit(p) : null;
+      const start = perRef(priceAsOf(ing, since));
+      const points = [start, ...hist.filter(h => new Date(h.date) > since).map(perRef), pricePerRefUnit(ing)]
+        .filter(v => v !== null && v > 0);
+      return { ing, refUnit, start: start || pricePerRefUnit(ing), now: pricePerRefUnit(ing), points, changes: hist.length };
+    })
+    .sort((a,b) => ((b.now - b.start) / b.start) - ((a.now - a.start) / a.start) || a.ing.name.localeCompare(b.ing.name));
+}
+
+// Recipes whose last saved "Precio Final" is below what their margin needs at today's cost
+function recipesBelowMargin(names){
+  const g = loadSettings();
+  const out = [];
+  for (const rn of names){
+    const revs = AppStore.listRevisions(rn);
+    const rev = revs[revs.length - 1];
+    if (!rev || !(rev.totals.finalPrice > 0)) continue;
+    const s = getRecipeSettings(rn);
+    const c = computeRecipeCosts(getRecipeRowsSync(rn) || [], s);
+    const price = rev.totals.finalPrice;
+    if (price >= c.finalPrice - 0.005) continue;
+    out.push({
+      name: rn,
+      price,
+      savedAt: rev.createdAt,
+      cost: c.total,
+      marginNow: effectiveMarginPct(price, c.total, g),
+      target: c.marginPct,
+      suggested: c.finalPrice,
+    });
+  }
+  return out.sort((a,b) => (a.marginNow - a.target) - (b.marginNow - b.target));
+}
+
+async function renderPriceReport(){
+  const ingTbody = document.getElementById("priceTrendTbody");
+  const recipeTbody = document.getElementById("priceImpactTbody");
+  const flagTbody = document.getElementById("marginFlagTbody");
+  if (!ingTbody || !recipeTbody || !flagTbody) return;
+
+  const since = new Date(Date.now() - priceReportDays * 86400000);
+  const names = await listAllRecipeNames();
+
+  const trends = ingredientPriceTrends(since);
+  ingTbody.innerHTML = trends.length ? trends.map(t => `
+    <tr>
+      <td>${escapeHtml(t.ing.name)}</td>
+      <td>${money(t.start)}/${unitLabel(t.refUnit)}</td>
+      <td>${money(t.now)}/${unitLabel(t.refUnit)}</td>
+      <td class="${t.now > t.start ? "priceUp" : (t.now < t.start ? "priceDown" : "muted")}">${formatPctChange(t.start, t.now)}</td>
+      <td>${sparklineSVG(t.points)}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="5" class="muted">${T("Aún no hay ingredientes con precio en el catálogo.")}</td></tr>`;
+
+  const before = recipeTotalsAsOf(names, since);
+  const impact = names
+    .map(rn => ({ name: rn, before: before[rn], now: computeRecipeCosts(getRecipeRowsSync(rn) || [], getRecipeSettings(rn)).total }))
+    .filter(x => x.now > 0 || x.before > 0)
+    .sort((a,b) => (b.now - b.before) - (a.now - a.before) || a.name.localeCompare(b.name));
+  recipeTbody.innerHTML = impact.length ? impact.map(x => `
+    <tr>
+      <td>${escapeHtml(x.name)}</td>
+      <td>${money(x.before)}</td>
+      <td>${money(x.now)}</td>
+      <td class="${x.now > x.before ? "priceUp" : (x.now < x.before ? "priceDown" : "muted")}">${formatDelta(x.before, x.now)}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="4" class="muted">${T("No hay recetas con costo.")}</td></tr>`;
+
+  const flags = recipesBelowMargin(names);
+  flagTbody.innerHTML = flags.length ? flags.map(f => `
+    <tr>
+      <td>⚠ ${escapeHtml(f.name)}</td>
+      <td title="${escapeHtml(T("Guardado {date}", { date: formatDateTime(f.savedAt) }))}">${moneyInt(f.price)}</td>
+      <td>${money(f.cost)}</td>
+      <td class="priceUp">${formatNumber(f.marginNow, 1, 1)}%</td>
+      <td>${formatNumber(f.target, 1, 1)}%</td>
+      <td>${moneyInt(f.suggested)}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="6" class="muted">${T("Todas las recetas guardadas mantienen su margen.")}</td></tr>`;
+}
+
+/* =========================
+   Orders (customer orders + production plan)
+   Line quantities are units of the recipe; a batch makes `yieldQty` units,
+   so cost/price scale by qty / yieldQty. Figures follow today's costs.
+   ========================= */
+const ORDER_STATUS_LABELS = { pending: "Pendiente", done: "Entregado" };
+
+let orderDraft = null; // order being edited in the form (null = form closed)
+let ordersShowDone = false;
+
+function newOrderId(){
+  return "ord_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function todayDateInput(){
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// "YYYY-MM-DD" read as a local date (new Date("YYYY-MM-DD") would be UTC midnight)
+function formatDueDate(due){
+  const d = new Date(String(due || "") + "T00:00");
+  if (!Number.isFinite(d.getTime())) return "—";
+  const opts = { weekday: "short", day: "numeric", month: "short" };
+  if (d.getFullYear() !== new Date().getFullYear()) opts.year = "numeric";
+  return d.toLocaleDateString(I18n.locale(), opts);
+}
+
+function computeOrderLine(line){
+  const qty = n(line.qty);
+  const rows = line.recipe ? getRecipeRowsSync(line.recipe) : null;
+  if (!rows) return { qty, batches: 0, cost: 0, price: 0, net: 0, missing: !!line.recipe };
+  const c = computeRecipeCosts(rows, getRecipeSettings(line.recipe));
+  const batches = qty / c.yieldQty;
+  return { qty, batches, cost: c.total * batches, price: c.finalPrice * batches, net: c.netPrice * batches, missing: false };
+}
+
+// Profit is over the net price (IVA is not income)
+function computeOrder(order){
+  const lines = (order.lines || []).map(computeOrderLine);
+  const cost = lines.reduce((sum, l) => sum + l.cost, 0);
+  const price = lines.reduce((sum, l) => sum + l.price, 0);
+  const net = lines.reduce((sum, l) => sum + l.net, 0);
+  return { lines, cost, price, profit: net - cost };
+}
+
+function describeOrderLines(order){
+  return (order.lines || [])
+    .filter(l => l.recipe && n(l.qty) > 0)
+    .map(l => `${formatNumber(l.qty)} × ${l.recipe}`)
+    .join(", ");
+}
+
+// Units and batches per recipe across pending orders
+function buildProductionPlan(orders){
+  const byRecipe = new Map();
+  for (const o of orders){
+    if (o.status === "done") continue;
+    for (const l of o.lines || []){
+      if (!l.recipe || !(n(l.qty) > 0)) continue;
+      const x = byRecipe.get(l.recipe) || { recipe: l.recipe, units: 0, orders: 0, firstDue: o.dueDate };
+      x.units += n(l.qty);
+      x.orders += 1;
+      if (String(o.dueDate) < String(x.firstDue)) x.firstDue = o.dueDate;
+      byRecipe.set(l.recipe, x);
+    }
+  }
+  return Array.from(byRecipe.values())
+    .map(x => {
+      const exists = !!getRecipeRowsSync(x.recipe);
+      const yieldQty = exists ? getRecipeYield(x.recipe) : 1;
+      return { ...x, exists, yieldQty, batches: x.units / yieldQty };
+    })
+    .sort((a,b)=>String(a.firstDue).localeCompare(String(b.firstDue)) || a.recipe.localeCompare(b.recipe));
+}
+
+function renameRecipeInOrders(oldName, newName){
+  for (const o of AppStore.listOrders()){
+    if (!(o.lines || []).some(l => l.recipe === oldName)) continue;
+    for (const l of o.lines) if (l.recipe === oldName) l.recipe = newName;
+    AppStore.putOrder(o);
+  }
+}
+
+function openOrderForm(id){
+  const o = id ? AppStore.listOrders().find(x => x.id === id) : null;
+  orderDraft = o || { id: null, customer: "", dueDate: todayDateInput(), notes: "", status: "pending", lines: [{ recipe: "", qty: 1 }] };
+  renderOrderForm();
+  const customerEl = document.getElementById("orderCustomer");
+  if (customerEl) customerEl.focus();
+}
+
+function closeOrderForm(){
+  orderDraft = null;
+  renderOrderForm();
+}
+
+function renderOrderForm(){
+  const form = document.getElementById("orderForm");
+  if (!form) return;
+  form.hidden = !orderDraft;
+  if (!orderDraft) return;
+
+  document.getElementById("orderFormTitle").textContent = orderDraft.id ? T("Editar pedido") : T("Nuevo pedido");
+  document.getElementById("orderCustomer").value = orderDraft.customer;
+  document.getElementById("orderDue").value = orderDraft.dueDate;
+  document.getElementById("orderNotes").value = orderDraft.notes || "";
+
+  const options = (sel) => `<option value="">${T("— Receta —")}</option>` + knownRecipeNames
+    .map(rn => `<option value="${escapeHtml(rn)}"${rn === sel ? " selected" : ""}>${escapeHtml(rn)}</option>`)
+    .join("") + ((sel && !knownRecipeNames.includes(sel)) ? `<option value="${escapeHtml(sel)}" selected>${escapeHtml(T("{name} (no existe)", { name: sel }))}</option>` : "");
+
+  const tbody = document.getElementById("orderLinesTbody");
+  tbody.innerHTML = orderDraft.lines.map((l, i) => `
+    <tr>
+      <td><select class="select" data-order-line="${i}" data-k="recipe">${options(l.recipe)}</select></td>
+      <td><input data-order-line="${i}" data-k="qty" inputmode="decimal" value="${l.qty ? numInput(l.qty) : ""}" placeholder="0" style="max-width:90px;" /></td>
+      <td class="muted" data-order-out="${i}"></td>
+      <td><button class="iconBtnSmall" type="button" data-order-del="${i}" title="${T("Quitar")}">✕</button></td>
+    </tr>
+  `).join("");
+  updateOrderFormTotals();
+}
+
+function updateOrderFormTotals(){
+  if (!orderDraft) return;
+  const t = computeOrder(orderDraft);
+  t.lines.forEach((l, i) => {
+    const out = document.querySelector(`[data-order-out="${i}"]`);
+    if (!out) return;
+    out.textContent = l.missing ? "⚠ " + T("La receta no existe")
+      : (l.qty > 0 && orderDraft.lines[i].recipe) ? T("{batches} lote(s) · {cost} → {price}", { batches: formatNumber(l.batches), cost: money(l.cost), price: moneyInt(l.price) }) : "";
+  });
+  const totals = document.getElementById("orderFormTotals");
+  if (totals) totals.textContent = T("Costo {cost} · Precio {price} · Ganancia {profit}", { cost: money(t.cost), price: moneyInt(t.price), profit: money(t.profit) });
+}
+
+function saveOrderDraft(){
+  if (!orderDraft) return false;
+  const lines = orderDraft.lines
+    .map(l => ({ recipe: String(l.recipe || ""), qty: n(l.qty) }))
+    .filter(l => l.recipe && l.qty > 0);
+  const customer = String(orderDraft.customer || "").trim();
+  if (!customer){
+    alert(T("Escribe el nombre del cliente."));
+    return false;
+  }
+  if (!orderDraft.dueDate){
+    alert(T("Elige la fecha de entrega."));
+    return false;
+  }
+  if (!lines.length){
+    alert(T("Agrega al menos una receta con cantidad."));
+    return false;
+  }
+  AppStore.putOrder({
+    id: orderDraft.id || newOrderId(),
+    customer,
+    dueDate: orderDraft.dueDate,
+    notes: String(orderDraft.notes || "").trim(),
+    status: orderDraft.status || "pending",
+    lines,
+    createdAt: orderDraft.createdAt || new Date().toISOString(),
+  });
+  closeOrderForm();
+  renderOrdersView();
+  return true;
+}
+
+function toggleOrderDone(id){
+  const o = AppStore.listOrders().find(x => x.id === id);
+  if (!o) return;
+  o.status = (o.status === "done") ? "pending" : "done";
+  AppStore.putOrder(o);
+  renderOrdersView();
+}
+
+function deleteOrder(id){
+  const o = AppStore.listOrders().find(x => x.id === id);
+  if (!o) return;
+  if (!confirm(T("¿Eliminar el pedido de “{customer}” ({date})?", { customer: o.customer, date: formatDueDate(o.dueDate) }))) return;
+  AppStore.deleteOrder(id);
+  if (orderDraft && orderDraft.id === id) closeOrderForm();
+  renderOrdersView();
+}
+
+function renderOrdersView(){
+  const tbody = document.getElementById("ordersTbody");
+  const planTbody = document.getElementById("productionTbody");
+  if (!tbody) return;
+
+  const orders = AppStore.listOrders();
+  const today = todayDateInput();
+  const shown = orders.filter(o => ordersShowDone || o.status !== "done");
+
+  tbody.innerHTML = shown.length ? shown.map(o => {
+    const t = computeOrder(o);
+    const done = o.status === "done";
+    const late = !done && String(o.dueDate) < today;
+    return `
+      <tr class="${done ? "orderDone" : ""}">
+        <td class="${late ? "orderLate" : ""}" title="${late ? T("Atrasado") : ""}">${escapeHtml(formatDueDate(o.dueDate))}</td>
+        <td>${escapeHtml(o.customer)}${o.notes ? ` <span class="muted" title="${escapeHtml(o.notes)}">✎</span>` : ""}</td>
+        <td class="orderLines">${escapeHtml(describeOrderLines(o))}${t.lines.some(l => l.missing) ? ` <span title="${T("Alguna receta ya no existe")}">⚠</span>` : ""}</td>
+        <td>${money(t.cost)}</td>
+        <td>${moneyInt(t.price)}</td>
+        <td>${money(t.profit)}</td>
+        <td class="orderActions">
+          <button class="iconBtnSmall" type="button" data-order-done="${escapeHtml(o.id)}" title="${done ? T("Marcar como pendiente") : T("Marcar como entregado")}">${done ? "↺" : "✓"}</button>
+          <button class="iconBtnSmall" type="button" data-order-edit="${escapeHtml(o.id)}" title="${T("Editar")}">✎</button>
+          <button class="iconBtnSmall" type="button" data-order-remove="${escapeHtml(o.id)}" title="${T("Eliminar")}">✕</button>
+        </td>
+      </tr>
+    `;
+  }).join("") : `<tr><td colspan="7" class="muted" style="padding:12px;">${orders.length ? T("No hay pedidos pendientes.") : T("Aún no hay pedidos.")}</td></tr>`;
+
+  if (!planTbody) return;
+  const plan = buildProductionPlan(orders);
+  planTbody.innerHTML = plan.length ? plan.map(x => `
+    <tr>
+      <td>${escapeHtml(x.recipe)}${x.exists ? "" : ` <span title="${T("La receta no existe")}">⚠</span>`}</td>
+      <td>${formatNumber(x.units)}</td>
+      <td>${formatNumber(x.batches)} <span class="muted">(${T("{count} a producir, {yield} u/lote", { count: Math.ceil(x.batches - 1e-9), yield: formatNumber(x.yieldQty) })})</span></td>
+      <td>${escapeHtml(formatDueDate(x.firstDue))}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="4" class="muted">${T("Sin pedidos pendientes.")}</td></tr>`;
+}
+
+/* =========================
+   Shopping list (recipes × batches -> what to buy)
+   Sub-recipes are expanded into their own ingredients; the same ingredient is
+   added up by normalized name in its purchase unit and rounded up to whole packages.
+   Stored in the settings store as `shoppingList` { batches:{recipe:n}, checked:[key] }.
+   ========================= */
+function loadShoppingState(){
+  const st = AppStore.getSetting("shoppingList", null) || {};
+  return {
+    batches: (st.batches && typeof st.batches === "object") ? st.batches : {},
+    checked: Array.isArray(st.checked) ? st.checked : [],
+  };
+}
+function saveShoppingState(st){ AppStore.setSetting("shoppingList", st); }
+
+// Adds each ingredient of `recipeName` × `factor` batches into `acc` (Map key -> item)
+function collectRecipeIngredients(acc, recipeName, factor, stack, problems){
+  if (stack.has(recipeName)){
+    problems.add(T("“{name}” se incluye a sí misma (ciclo)", { name: recipeName }));
+    return;
+  }
+  const rows = getRecipeRowsSync(recipeName);
+  if (!rows){
+    problems.add(T("No existe la receta “{name}”", { name: recipeName }));
+    return;
+  }
+  const next = new Set(stack);
+  next.add(recipeName);
+
+  for (const r of rows){
+    const name = String(isSubRecipeRow(r) ? r.subRecipe : r.name || "").trim();
+    if (!name || !(n(r.recipeAmount) > 0)) continue;
+
+    if (isSubRecipeRow(r)){
+      const units = convertQty(r.recipeAmount, r.recipeUnit, "unidad");
+      if (units === null){
+        problems.add(T("{recipe}: la sub-receta “{name}” no está en unidades", { recipe: recipeName, name }));
+        continue;
+      }
+      collectRecipeIngredients(acc, name, factor * units * wasteFactor(rowWastePct(r)) / getRecipeYield(name), next, problems);
+      continue;
+    }
+
+    const p = rowPurchase(r);
+    const qty = convertQty(r.recipeAmount, r.recipeUnit, p.unit);
+    if (qty === null){
+      problems.add(T("{recipe}: no se puede convertir {from} a {to} ({name})", { recipe: recipeName, from: unitLabel(r.recipeUnit), to: unitLabel(p.unit), name }));
+      continue;
+    }
+    // g and ml of the same name can't be added together: one line per dimension
+    const key = normIngName(name) + "|" + UNITS[p.unit].dim;
+    let item = acc.get(key);
+    if (!item){
+      item = { key, name: (r.ingId && loadCatalog()[r.ingId]) ? loadCatalog()[r.ingId].name : name, cost: p.cost, amount: p.amount, unit: p.unit, need: 0, recipes: [] };
+      acc.set(key, item);
+    }
+    item.need += convertQty(qty * wasteFactor(rowWastePct(r)) * factor, p.unit, item.unit);
+    if (!item.recipes.includes(recipeName)) item.recipes.push(recipeName);
+  }
+}
+
+function buildShoppingList(batches){
+  const acc = new Map();
+  const problems = new Set();
+  for (const [rn, count] of Object.entries(batches || {})){
+    if (n(count) > 0) collectRecipeIngredients(acc, rn, n(count), new Set(), problems);
+  }
+  const items = Array.from(acc.values())
+    .map(it => {
+      const priced = it.amount > 0;
+      // Tiny epsilon so 2.0000001 packages stay 2
+      const packs = priced ? Math.ceil(it.need / it.amount - 1e-9) : 0;
+      return { ...it, priced, packs, buyQty: packs * it.amount, spend: packs * it.cost };
+    })
+    .sort((a,b)=>a.name.localeCompare(b.name));
+  return { items, total: items.reduce((sum, it) => sum + it.spend, 0), problems: Array.from(problems) };
+}
+
+function shoppingLineText(it){
+  const need = formatQty(it.need, it.unit);
+  if (!it.priced) return `${it.name}: ${need}`;
+  return T("{name}: {packs} × {size} (se usan {need}) — {spend}", { name: it.name, packs: it.packs, size: formatQty(it.amount, it.unit), need, spend: moneyInt(it.spend) });
+}
+
+function shoppingListText(list, checked){
+  const lines = [T("Lista de compras ({date})", { date: new Date().toLocaleDateString(I18n.locale()) }), ""];
+  for (const it of list.items) lines.push(`${checked.has(it.key) ? "☑" : "☐"} ${shoppingLineText(it)}`);
+  lines.push("", T("Total estimado: {total}", { total: moneyInt(list.total) }));
+  return lines.join("\n");
+}
+
+function renderShoppingView(){
+  const pickTbody = document.getElementById("shoppingRecipesTbody");
+  const listTbody = document.getElementById("shoppingTbody");
+  if (!pickTbody || !listTbody) return;
+
+  const st = loadShoppingState();
+  pickTbody.innerHTML = knownRecipeNames.map(rn => `
+    <tr>
+      <td>${escapeHtml(rn)}</td>
+      <td><input data-shop-recipe="${escapeHtml(rn)}" inputmode="decimal" value="${n(st.batches[rn]) ? numInput(st.batches[rn]) : ""}" placeholder="0" style="max-width:80px;" /></td>
+    </tr>
+  `).join("") || `<tr><td colspan="2" class="muted">${T("No hay recetas.")}</td></tr>`;
+
+  renderShoppingList();
+}
+
+function renderShoppingList(){
+  const listTbody = document.getElementById("shoppingTbody");
+  const totalEl = document.getElementById("shoppingTotal");
+  const probEl = document.getElementById("shoppingProblems");
+  if (!listTbody) return;
+
+  const st = loadShoppingState();
+  const list = buildShoppingList(st.batches);
+  const checked = new Set(st.checked);
+
+  listTbody.innerHTML = list.items.length ? list.items.map(it => `
+    <tr class="${checked.has(it.key) ? "shopDone" : ""}">
+      <td><label class="check shopCheck"><input type="checkbox" data-shop-check="${escapeHtml(it.key)}"${checked.has(it.key) ? " checked" : ""} /><span>${escapeHtml(it.name)}</span></label></td>
+      <td title="${escapeHtml(it.recipes.join(", "))}">${escapeHtml(formatQty(it.need, it.unit))}</td>
+      <td>${it.priced ? `${it.packs} × ${escapeHtml(formatQty(it.amount, it.unit))}` : `<span class="muted">${T("Sin precio")}</span>`}</td>
+      <td>${it.priced ? moneyInt(it.spend) : "—"}</td>
+    </tr>
+  `).join("") : `<tr><td colspan="4" class="muted" style="padding:12px;">${T("Indica cuántos lotes harás de cada receta.")}</td></tr>`;
+
+  if (totalEl) totalEl.textContent = moneyInt(list.total);
+  if (probEl){
+    probEl.hidden = !list.problems.length;
+    probEl.innerHTML = list.problems.map(p => `<div>⚠ ${escapeHtml(p)}</div>`).join("");
+  }
+}
+
+function setShoppingBatches(recipeName, value){
+  const st = loadShoppingState();
+  if (n(value) > 0) st.batches[recipeName] = n(value);
+  else delete st.batches[recipeName];
+  saveShoppingState(st);
+  renderShoppingList();
+}
+
+function toggleShoppingItem(key, on){
+  const st = loadShoppingState();
+  st.checked = st.checked.filter(k => k !== key);
+  if (on) st.checked.push(key);
+  saveShoppingState(st);
+  renderShoppingList();
+}
+
+// Batches from the production plan of pending orders
+function fillShoppingFromOrders(){
+  const plan = buildProductionPlan(AppStore.listOrders()).filter(x => x.exists);
+  if (!plan.length){
+    alert(T("No hay pedidos pendientes."));
+    return;
+  }
+  const st = loadShoppingState();
+  st.batches = {};
+  for (const x of plan) st.batches[x.recipe] = Math.ceil(x.batches - 1e-9);
+  saveShoppingState(st);
+  renderShoppingView();
+}
+
+function clearShoppingList(){
+  if (!confirm(T("¿Vaciar la lista de compras?"))) return;
+  saveShoppingState({ batches: {}, checked: [] });
+  renderShoppingView();
+}
+
+function renameRecipeInShopping(oldName, newName){
+  const st = loadShoppingState();
+  if (!(oldName in st.batches)) return;
+  st.batches[newName] = st.batches[oldName];
+  delete st.batches[oldName];
+  saveShoppingState(st);
+}
+
+async function shareShoppingList(){
+  const st = loadShoppingState();
+  const list = buildShoppingList(st.batches);
+  if (!list.items.length){
+    alert(T("La lista de compras está vacía."));
+    return;
+  }
+  const text = shoppingListText(list, new Set(st.checked));
+  // Phone: share sheet (WhatsApp, etc.); desktop: clipboard
+  if (navigator.share){
+    try{
+      await navigator.share({ title: T("Lista de compras"), text });
+      return;
+    }catch(err){
+      if (err && err.name === "AbortError") return;
+    }
+  }
+  try{
+    await navigator.clipboard.writeText(text);
+    alert(T("Lista copiada. Pégala en WhatsApp o donde la necesites."));
+  }catch{
+    downloadBlob("lista_compras.txt", new Blob([text], { type: "text/plain;charset=utf-8" }));
+  }
+}
+
+function exportShoppingCSV(){
+  const st = loadShoppingState();
+  const list = buildShoppingList(st.batches);
+  const num = (v) => String(Math.round(v * 1000) / 1000);
+  const lines = [["Ingrediente", "Necesario", "Unidad", "Envases", "Tamaño envase", "Comprar", "Costo estimado", "Recetas"].map(h => T(h))];
+  for (const it of list.items){
+    lines.push([it.name, num(it.need), unitLabel(it.unit), it.priced ? it.packs : "", it.priced ? num(it.amount) : "", it.priced ? num(it.buyQty) : "", it.priced ? num(it.spend) : "", it.recipes.join(", ")]);
+  }
+  lines.push([T("Total estimado"), "", "", "", "", "", num(list.total), ""]);
+  const csv = lines.map(l => l.map(csvCell).join(",")).join("\r\n");
+  downloadBlob("lista_compras.csv", new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8" }));
+}
+
+/* =========================
+   Pantry inventory
+   `stock` / `minStock` live on each catalog entry, in its purchase unit; an entry
+   without `stock` is not tracked. Producing a batch deducts the same quantities
+   the costing uses (sub-recipes expanded); a purchase adds stock and sets the price.
+   ========================= */
+function isStockTracked(ing){
+  return !!ing && typeof ing.stock === "number";
+}
+
+function isLowStock(ing){
+  return isStockTracked(ing) && n(ing.minStock) > 0 && ing.stock <= n(ing.minStock);
+}
+
+// Valued at the same unit cost as computeRow (cost / amount)
+function inventoryValue(cat){
+  return Object.values(cat).reduce((sum, ing) => sum + (isStockTracked(ing) && ing.stock > 0 ? ing.stock * catalogUnitCost(ing) : 0), 0);
+}
+
+// Changing an entry's unit keeps its stock and threshold in the new unit.
+// Every catalog unit change (editor, Ingredientes, import, offers) goes through here.
+function setCatalogUnit(ing, unit){
+  const to = normUnit(unit);
+  const from = normUnit(ing.unit);
+  if (from !== to){
+    if (isStockTracked(ing)){
+      const st = convertQty(ing.stock, from, to);
+      if (st === null) delete ing.stock; else ing.stock = st;
+    }
+    if (n(ing.minStock) > 0){
+      const min = convertQty(ing.minStock, from, to);
+      if (min === null) delete ing.minStock; else ing.minStock = min;
+    }
+  }
+  ing.unit = to;
+}
+
+// What `batches` of a recipe take from tracked entries
+function planProduction(recipeName, batches){
+  const acc = new Map();
+  const problems = new Set();
+  collectRecipeIngredients(acc, recipeName, batches, new Set(), problems);
+
+  const cat = loadCatalog();
+  const uses = [], untracked = [];
+  for (const it of acc.values()){
+    const id = findCatalogIdByName(cat, it.name);
+    const ing = id ? cat[id] : null;
+    const qty = ing ? convertQty(it.need, it.unit, normUnit(ing.unit)) : null;
+    if (!isStockTracked(ing) || qty === null){
+      untracked.push(it.name);
+      continue;
+    }
+    uses.push({ id, name: ing.name, qty, unit: normUnit(ing.unit), after: ing.stock - qty });
+  }
+  return { uses, untracked, problems: Array.from(problems) };
+}
+
+async function produceBatch(recipeName){
+  const raw = prompt(T("¿Cuántos lotes de “{name}” se produjeron?", { name: recipeName }), "1");
+  if (raw === null) return;
+  const batches = n(raw);
+  if (!(batches > 0)){
+    alert(T("Indica un número de lotes mayor que 0."));
+    return;
+  }
+
+  persistCurrentRecipeSettingsFromUI();
+  flushPendingSave();
+
+  const plan = planProduction(recipeName, batches);
+  if (!plan.uses.length){
+    alert(T("Ningún ingrediente de esta receta tiene stock registrado. Indica el stock en Ingredientes."));
+    return;
+  }
+  const short = plan.uses.filter(u => u.after < 0);
+  if (short.length && !confirm(T("No alcanza el stock de: {names}.\n¿Descontar igual? Quedará en negativo.", { names: short.map(u => u.name).join(", ") }))) return;
+
+  const cat = loadCatalog();
+  for (const u of plan.uses) cat[u.id].stock = u.after;
+  saveCatalog(cat);
+  onCatalogChanged();
+  if (currentView === "ingredients") await renderIngredientsView();
+
+  const lines = [T("Stock descontado por {count} lote(s) de “{name}”:", { count: formatNumber(batches), name: recipeName })];
+  for (const u of plan.uses) lines.push(T("• {name}: −{qty} (quedan {left})", { name: u.name, qty: formatQty(u.qty, u.unit), left: formatQty(u.after, u.unit) }));
+  if (plan.untracked.length) lines.push("", T("Sin stock registrado: {names}", { names: plan.untracked.join(", ") }));
+  for (const p of plan.problems) lines.push(`⚠ ${p}`);
+  const low = plan.uses.filter(u => isLowStock(cat[u.id]));
+  if (low.length) lines.push("", T("Stock bajo: {names}", { names: low.map(u => u.name).join(", ") }));
+  alert(lines.join("\n"));
+}
+
+// `qty` bought in `unit` for `paid` (0 = keep the current price). With a supplier
+// (or an entry that already has offers) the price goes into that supplier's offer.
+function recordPurchase(id, qty, unit, paid, supplier){
+  const cat = loadCatalog();
+  const ing = cat[id];
+  if (!ing) return false;
+  const added = convertQty(qty, unit, normUnit(ing.unit));
+  if (added === null){
+    alert(T("No se puede convertir {from} a {to}.", { from: unitLabel(unit), to: unitLabel(ing.unit) }));
+    return false;
+  }
+  ing.stock = (isStockTracked(ing) ? ing.stock : 0) + added;
+  const seller = String(supplier || "").trim();
+  if (paid > 0 && (seller || hasOffers(ing))){
+    upsertOffer(ing, { supplier: seller, cost: paid, amount: qty, unit });
+    applyOfferSelection(ing);
+  }else if (paid > 0){
+    setCatalogUnit(ing, unit);
+    ing.cost = paid;
+    ing.amount = qty;
+  }
+  saveCatalog(cat);
+  onCatalogChanged();
+  return true;
+}
+
+let purchaseIngId = null;
+
+function openPurchaseDialog(id){
+  const ing = loadCatalog()[id];
+  const dlg = document.getElementById("purchaseDialog");
+  if (!ing || !dlg) return;
+  purchaseIngId = id;
+  document.getElementById("purchaseTitle").textContent = T("Registrar compra: {name}", { name: ing.name });
+  document.getElementById("purchaseQty").value = ing.amount ? numInput(ing.amount) : "";
+  document.getElementById("purchaseUnit").innerHTML = unitOptionsHTML(ing.unit);
+  document.getElementById("purchasePaid").value = ing.cost ? numInput(ing.cost) : "";
+  const picked = pickOffer(ing, loadSettings());
+  document.getElementById("purchaseSupplier").value = picked ? picked.supplier : "";
+  renderSupplierDatalist();
+  if (typeof dlg.showModal === "function") dlg.showModal();
+  else dlg.setAttribute("open", "");
+}
+
+function closePurchaseDialog(){
+  const dlg = document.getElementById("purchaseDialog");
+  purchaseIngId = null;
+  if (!dlg) return;
+  if (typeof dlg.close === "function") dlg.close();
+  else dlg.removeAttribute("open");
+}
+
+async function confirmPurchase(){
+  const qty = n(document.getElementById("purchaseQty").value);
+  const unit = document.getElementById("purchaseUnit").value;
+  const paid = n(document.getElementById("purchasePaid").value);
+  const supplier = document.getElementById("purchaseSupplier").value;
+  if (!(qty > 0)){
+    alert(T("Indica la cantidad comprada."));
+    return;
+  }
+  if (!purchaseIngId || !recordPurchase(purchaseIngId, qty, unit, paid, supplier)) return;
+  closePurchaseDialog();
+  await renderIngredientsView();
+}
+
+function renderInventorySummary(){
+  const box = document.getElementById("inventorySummary");
+  if (!box) return;
+  const cat = loadCatalog();
+  const tracked = Object.values(cat).filter(isStockTracked);
+  const low = tracked.filter(isLowStock).sort((a,b)=>a.name.localeCompare(b.name));
+  box.innerHTML = `
+    <div class="kv">
+      <div class="k">${T("Valor del inventario")}</div>
+      <div class="v">${money(inventoryValue(cat))}</div>
+    </div>
+    <div class="smallNote">${T("{count} ingrediente(s) con stock registrado.", { count: tracked.length })}</div>
+    ${low.length ? `<div class="lowStockList">⚠ ${T("Stock bajo: {names}", { names: low.map(ing =>
+      `${escapeHtml(ing.name)} (${escapeHtml(formatQty(ing.stock, normUnit(ing.unit)))} / ${T("mín.")} ${escapeHtml(formatQty(ing.minStock, normUnit(ing.unit)))})`
+    ).join(", ") })}</div>` : ""}
+  `;
+}
+
+/* =========================
+   Supplier offers
+   A catalog entry may hold `offers: [{id, supplier, cost, amount, unit, date}]`.
+   The offer picked by settings.offerRule is copied into the entry's
+   cost/amount/unit, so costing, price history and the shopping list keep
+   reading the entry as before. An entry without offers keeps its own price.
+   ========================= */
+const OFFER_RULES = ["cheapest", "preferred", "latest"];
+
+function newOfferId(){
+  return "off_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function hasOffers(ing){
+  return !!ing && Array.isArray(ing.offers) && ing.offers.length > 0;
+}
+
+function sameSupplier(a, b){
+  return normIngName(a) === normIngName(b);
+}
+
+// Offers with a complete price (cost and pack quantity)
+function pricedOffers(ing){
+  return hasOffers(ing) ? ing.offers.filter(o => pricePerRefUnit(o) > 0) : [];
+}
+
+function cheapestOffer(offers){
+  return offers.reduce((best, o) => (!best || pricePerRefUnit(o) < pricePerRefUnit(best)) ? o : best, null);
+}
+
+// "preferred" falls back to the cheapest when that supplier has no offer;
+// "latest" breaks date ties with the offer added last
+function pickOffer(ing, g){
+  const offers = pricedOffers(ing);
+  if (!offers.length) return null;
+  if (g.offerRule === "latest"){
+    return offers.reduce((a, o) => (String(o.date || "") >= String(a.date || "")) ? o : a);
+  }
+  if (g.offerRule === "preferred" && g.preferredSupplier){
+    const mine = offers.filter(o => sameSupplier(o.supplier, g.preferredSupplier));
+    if (mine.length) return cheapestOffer(mine);
+  }
+  return cheapestOffer(offers);
+}
+
+// Copies the picked offer into the entry; true when its price changed
+function applyOfferSelection(ing, g){
+  const o = pickOffer(ing, g || loadSettings());
+  if (!o) return false;
+  const before = JSON.stringify([n(ing.cost), n(ing.amount), normUnit(ing.unit)]);
+  setCatalogUnit(ing, o.unit);
+  ing.cost = n(o.cost);
+  ing.amount = n(o.amount);
+  return JSON.stringify([ing.cost, ing.amount, ing.unit]) !== before;
+}
+
+// After the rule or the preferred supplier changed
+function applyOfferSelectionToCatalog(){
+  const cat = loadCatalog();
+  const g = loadSettings();
+  let changed = false;
+  for (const ing of Object.values(cat)){
+    if (applyOfferSelection(ing, g)) changed = true;
+  }
+  if (!changed) return;
+  saveCatalog(cat);
+  onCatalogChanged();
+}
+
+// Same supplier replaces its offer (a new purchase price), otherwise one is added
+function upsertOffer(ing, offer){
+  if (!Array.isArray(ing.offers)) ing.offers = [];
+  const clean = { supplier: String(offer.supplier || "").trim(), cost: n(offer.cost), amount: n(offer.amount), unit: normUnit(offer.unit), date: offer.date || todayDateInput() };
+  const found = ing.offers.find(o => sameSupplier(o.supplier, clean.supplier));
+  if (found) Object.assign(found, clean);
+  else ing.offers.push({ id: newOfferId(), ...clean });
+}
+
+function parseOffers(list){
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(o => o && typeof o === "object")
+    .map(o => ({
+      id: String(o.id || newOfferId()),
+      supplier: String(o.supplier || "").trim(),
+      cost: n(o.cost),
+      amount: n(o.amount),
+      unit: normUnit(o.unit),
+      date: /^\d{4}-\d{2}-\d{2}$/.test(String(o.date || "")) ? o.date : "",
+    }));
+}
+
+// Supplier names across the catalog (first spelling wins), sorted
+function listSuppliers(cat){
+  const byKey = new Map();
+  for (const ing of Object.values(cat || loadCatalog())){
+    for (const o of hasOffers(ing) ? ing.offers : []){
+      const key = normIngName(o.supplier);
+      if (key && !byKey.has(key)) byKey.set(key, String(o.supplier).trim());
+    }
+  }
+  return Array.from(byKey.values()).sort((a,b)=>a.localeCompare(b));
+}
+
+// The catalog priced as if everything came from `supplier`; entries it doesn't
+// offer keep today's price and are listed in `missing`
+function catalogForSupplier(supplier){
+  const cat = {};
+  const missing = new Set();
+  for (const [id, ing] of Object.entries(loadCatalog())){
+    const o = cheapestOffer(pricedOffers(ing).filter(x => sameSupplier(x.supplier, supplier)));
+    if (o) cat[id] = { ...ing, cost: n(o.cost), amount: n(o.amount), unit: normUnit(o.unit) };
+    else{
+      cat[id] = ing;
+      missing.add(id);
+    }
+  }
+  return { cat, missing };
+}
+
+// Catalog entries a recipe buys, sub-recipes expanded
+function recipeCatalogIds(recipeName){
+  const acc = new Map();
+  collectRecipeIngredients(acc, recipeName, 1, new Set(), new Set());
+  const cat = loadCatalog();
+  return Array.from(new Set(Array.from(acc.values()).map(it => findCatalogIdByName(cat, it.name)).filter(Boolean)));
+}
+
+function offerRuleLabel(rule){
+  if (rule === "preferred") return T("Proveedor preferido");
+  if (rule === "latest") return T("Más reciente");
+  return T("Más barato por unidad");
+}
+
+/* ---------- offers dialog (one catalog entry) ---------- */
+let offersIngId = null;
+
+function renderSupplierDatalist(){
+  const list = document.getElementById("supplierOptions");
+  if (list) list.innerHTML = listSuppliers().map(s => `<option value="${escapeHtml(s)}"></option>`).join("");
+}
+
+function openOffersDialog(id){
+  const ing = loadCatalog()[id];
+  const dlg = document.getElementById("offersDialog");
+  if (!ing || !dlg) return;
+  offersIngId = id;
+  document.getElementById("offersTitle").textContent = T("Proveedores: {name}", { name: ing.name });
+  renderSupplierDatalist();
+  renderOffersTable();
+  if (typeof dlg.showModal === "function") dlg.showModal();
+  else dlg.setAttribute("open", "");
+}
+
+async function closeOffersDialog(){
+  const dlg = document.getElementById("offersDialog");
+  offersIngId = null;
+  if (dlg){
+    if (typeof dlg.close === "function") dlg.close();
+    else dlg.removeAttribute("open");
+  }
+  if (currentView === "ingredients") await renderIngredientsView();
+}
+
+function renderOffersTable(){
+  const tbody = document.getElementById("offersTbody");
+  const ing = offersIngId ? loadCatalog()[offersIngId] : null;
+  if (!tbody || !ing) return;
+  const offers = hasOffers(ing) ? ing.offers : [];
+  tbody.innerHTML = offers.length ? offers.map((o, i) => `
+    <tr>
+      <td><input data-offer="${i}" data-k="supplier" list="supplierOptions" value="${escapeHtml(o.supplier)}" placeholder="${T("Proveedor")}" /></td>
+      <td><input data-offer="${i}" data-k="cost" inputmode="decimal" value="${o.cost ? numInput(o.cost) : ""}" placeholder="0" /></td>
+      <td><div class="qtyCell">
+        <input data-offer="${i}" data-k="amount" inputmode="decimal" value="${o.amount ? numInput(o.amount) : ""}" placeholder="0" />
+        <select data-offer="${i}" data-k="unit">${unitOptionsHTML(o.unit)}</select>
+      </div></td>
+      <td><input data-offer="${i}" data-k="date" type="date" value="${escapeHtml(o.date || "")}" /></td>
+      <td class="readonly" data-offer-out="${i}"></td>
+      <td><button class="iconBtnSmall" type="button" data-offer-del="${i}" title="${T("Eliminar")}">✕</button></td>
+    </tr>
+  `).join("") : `<tr><td colspan="6" class="muted">${T("Sin ofertas: se usa el precio del catálogo.")}</td></tr>`;
+  updateOffersOutputs();
+}
+
+// Unit price per offer and which one the rule picked (no re-render while typing)
+function updateOffersOutputs(){
+  const ing = offersIngId ? loadCatalog()[offersIngId] : null;
+  if (!ing) return;
+  const picked = pickOffer(ing, loadSettings());
+  (ing.offers || []).forEach((o, i) => {
+    const out = document.querySelector(`[data-offer-out="${i}"]`);
+    if (!out) return;
+    const ref = priceRefUnit(o.unit);
+    const price = pricePerRefUnit(o);
+    out.textContent = price ? `${money(price)}/${unitLabel(ref)}` : "—";
+    out.classList.toggle("bestOffer", o === picked);
+    out.title = (o === picked) ? T("Oferta en uso ({rule})", { rule: offerRuleLabel(loadSettings().offerRule) }) : "";
+  });
+  setCellText("offersRuleNote", T("Regla: {rule}. Se cambia en Proveedores.", { rule: offerRuleLabel(loadSettings().offerRule) }));
+}
+
+// Any edit re-picks the offer and saves the entry
+function onOffersChanged(ing){
+  const cat = loadCatalog();
+  if (!hasOffers(ing)) delete ing.offers;
+  applyOfferSelection(ing);
+  saveCatalog(cat);
+  onCatalogChanged();
+  renderSupplierDatalist();
+}
+
+function addOffer(){
+  const ing = offersIngId ? loadCatalog()[offersIngId] : null;
+  if (!ing) return;
+  if (!Array.isArray(ing.offers)) ing.offers = [];
+  // The first offer starts from the entry's current price
+  const seed = ing.offers.length ? { cost: 0, amount: 0, unit: ing.unit } : { cost: n(ing.cost), amount: n(ing.amount), unit: ing.unit };
+  ing.offers.push({ id: newOfferId(), supplier: "", ...seed, unit: normUnit(seed.unit), date: todayDateInput() });
+  onOffersChanged(ing);
+  renderOffersTable();
+  const inputs = document.querySelectorAll('#offersTbody [data-k="supplier"]');
+  if (inputs.length) inputs[inputs.length - 1].focus();
+}
+
+/* ---------- supplier comparison view ---------- */
+function renderSuppliersView(){
+  const thead = document.getElementById("suppliersThead");
+  const tbody = document.getElementById("suppliersTbody");
+  if (!thead || !tbody) return;
+
+  const g = loadSettings();
+  const suppliers = listSuppliers();
+  const ruleEl = document.getElementById("offerRule");
+  const prefEl = document.getElementById("preferredSupplier");
+  if (ruleEl) ruleEl.value = g.offerRule;
+  if (prefEl){
+    const known = suppliers.some(s => sameSupplier(s, g.preferredSupplier));
+    prefEl.innerHTML = `<option value="">${T("— Proveedor —")}</option>`
+      + (g.preferredSupplier && !known ? `<option value="${escapeHtml(g.preferredSupplier)}" selected>${escapeHtml(g.preferredSupplier)}</option>` : "")
+      + suppliers.map(s => `<option value="${escapeHtml(s)}"${sameSupplier(s, g.preferredSupplier) ? " selected" : ""}>${escapeHtml(s)}</option>`).join("");
+    prefEl.disabled = (g.offerRule !== "preferred");
+  }
+
+  thead.innerHTML = `<tr><th>${T("Receta")}</th><th>${T("Costo actual")}</th>${suppliers.map(s => `<th>${escapeHtml(s)}</th>`).join("")}</tr>`;
+  if (!suppliers.length){
+    tbody.innerHTML = `<tr><td colspan="2" class="muted" style="padding:12px;">${T("Aún no hay ofertas de proveedores. Agrégalas con el botón Proveedores de cada ingrediente.")}</td></tr>`;
+    return;
+  }
+
+  const names = knownRecipeNames;
+  const cat = loadCatalog();
+  const current = recipeTotalsWithCatalog(names, cat);
+  const bySupplier = suppliers.map(s => {
+    const x = catalogForSupplier(s);
+    return { totals: recipeTotalsWithCatalog(names, x.cat), missing: x.missing };
+  });
+
+  tbody.innerHTML = names.map(rn => {
+    const ids = recipeCatalogIds(rn);
+    const cells = bySupplier.map(x => ({ total: x.totals[rn], lacking: ids.filter(id => x.missing.has(id)) }));
+    const complete = cells.filter(c => !c.lacking.length);
+    const best = (ids.length && complete.length) ? Math.min(...complete.map(c => c.total)) : null;
+    return `
+      <tr>
+        <td>${escapeHtml(rn)}</td>
+        <td>${money(current[rn])}</td>
+        ${cells.map(c => `<td class="${!c.lacking.length && c.total === best ? "bestOffer" : ""}">${money(c.total)}${c.lacking.length
+          ? ` <span class="muted" title="${escapeHtml(T("Sin oferta de este proveedor (precio actual): {names}", { names: c.lacking.map(id => cat[id].name).join(", ") }))}">⚠ ${c.lacking.length}</span>`
+          : ""}</td>`).join("")}
+      </tr>
+    `;
+  }).join("") || `<tr><td colspan="${suppliers.length + 2}" class="muted">${T("No hay recetas.")}</td></tr>`;
+}
+
+function onOfferRuleChange(){
+  const ruleEl = document.getElementById("offerRule");
+  const prefEl = document.getElementById("preferredSupplier");
+  saveSettings({
+    offerRule: ruleEl ? ruleEl.value : "cheapest",
+    preferredSupplier: prefEl ? prefEl.value : "",
+  });
+  applyOfferSelectionToCatalog();
+  renderSuppliersView();
+}
+
+/* =========================
+   Sales log + profitability dashboard
+   Each sale keeps the recipe's unit cost and the IVA rate of the day it was
+   recorded, so later price changes don't rewrite past profit. Revenue is what
+   was charged; profit is over the net (IVA is not income), as in Pedidos.
+   ========================= */
+const SALE_CHANNELS = ["Local", "Pedido", "Feria", "Cafetería", "Delivery"];
+
+let salesGranularity = "week"; // 'week' | 'month'
+let salesPeriod = null;        // bucket key shown in the rankings (null = latest)
+
+function newSaleId(){
+  return "sale_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Unit cost and suggested unit price of a recipe today
+function recipeUnitFigures(recipeName){
+  const rows = getRecipeRowsSync(recipeName);
+  if (!rows) return null;
+  const c = computeRecipeCosts(rows, getRecipeSettings(recipeName));
+  return { unitCost: c.unitCost, unitPrice: c.unitPrice };
+}
+
+function recordSale(sale){
+  const units = n(sale.units);
+  const price = n(sale.price);
+  if (!sale.recipe){
+    alert(T("Elige la receta vendida."));
+    return false;
+  }
+  if (!(units > 0)){
+    alert(T("Indica las unidades vendidas."));
+    return false;
+  }
+  if (!sale.date){
+    alert(T("Elige la fecha de la venta."));
+    return false;
+  }
+  const fig = recipeUnitFigures(sale.recipe);
+  const g = loadSettings();
+  AppStore.putSale({
+    id: newSaleId(),
+    date: sale.date,
+    recipe: sale.recipe,
+    units,
+    price,
+    channel: String(sale.channel || "").trim(),
+    unitCost: fig ? fig.unitCost : 0,
+    taxPct: g.taxEnabled ? g.taxPct : 0,
+    createdAt: new Date().toISOString(),
+  });
+  return true;
+}
+
+function computeSale(s){
+  const revenue = n(s.units) * n(s.price);
+  const net = revenue / (1 + n(s.taxPct) / 100);
+  const cost = n(s.units) * n(s.unitCost);
+  return { revenue, net, cost, profit: net - cost };
+}
+
+// "YYYY-MM-DD" of the Monday of the week, or "YYYY-MM"
+function salesBucketKey(date, granularity){
+  const d = new Date(String(date) + "T00:00");
+  if (!Number.isFinite(d.getTime())) return "";
+  if (granularity === "month") return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function salesBucketLabel(key, granularity){
+  if (granularity === "month"){
+    const d = new Date(key + "-01T00:00");
+    return d.toLocaleDateString(I18n.locale(), { month: "short", year: "numeric" });
+  }
+  const d = new Date(key + "T00:00");
+  return T("Sem. {date}", { date: d.toLocaleDateString(I18n.locale(), { day: "numeric", month: "short" }) });
+}
+
+// The last `count` buckets up to today (empty ones included, oldest first)
+function recentSalesBuckets(granularity, count){
+  const keys = [];
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  if (granularity === "month") d.setDate(1);
+  for (let i = 0; i < count; i++){
+    keys.unshift(salesBucketKey(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`, granularity));
+    if (granularity === "month") d.setMonth(d.getMonth() - 1);
+    else d.setDate(d.getDate() - 7);
+  }
+  return keys;
+}
+
+function summarizeSales(sales){
+  const out = { revenue: 0, net: 0, cost: 0, profit: 0, units: 0 };
+  for (const s of sales){
+    const t = computeSale(s);
+    out.revenue += t.revenue;
+    out.net += t.net;
+    out.cost += t.cost;
+    out.profit += t.profit;
+    out.units += n(s.units);
+  }
+  return out;
+}
+
+function salesByRecipe(sales){
+  const byRecipe = new Map();
+  for (const s of sales){
+    const x = byRecipe.get(s.recipe) || { recipe: s.recipe, units: 0, revenue: 0, profit: 0 };
+    const t = computeSale(s);
+    x.units += n(s.units);
+    x.revenue += t.revenue;
+    x.profit += t.profit;
+    byRecipe.set(s.recipe, x);
+  }
+  return Array.from(byRecipe.values());
+}
+
+// Revenue and profit bars per bucket (plain SVG, no chart library)
+function salesChartSVG(points){
+  const w = 560, h = 180, pad = 22;
+  const max = Math.max(1, ...points.map(p => Math.max(p.revenue, p.profit)));
+  const min = Math.min(0, ...points.map(p => p.profit));
+  const span = max - min;
+  const y = (v) => pad + (max - v) / span * (h - pad * 2);
+  const slot = w / Math.max(1, points.length);
+  const bar = Math.max(4, slot / 2 - 4);
+
+  const bars = points.map((p, i) => {
+    const x = i * slot + (slot - bar * 2) / 2;
+    const rect = (cls, v, dx) => {
+      const top = Math.min(y(v), y(0));
+      return `<rect class="${cls}" x="${(x + dx).toFixed(1)}" y="${top.toFixed(1)}" width="${bar.toFixed(1)}" height="${Math.abs(y(v) - y(0)).toFixed(1)}"><title>${escapeHtml(p.label)}: ${moneyInt(v)}</title></rect>`;
+    };
+    return rect("chartRevenue", p.revenue, 0) + rect(p.profit < 0 ? "chartLoss" : "chartProfit", p.profit, bar)
+      + `<text x="${(i * slot + slot / 2).toFixed(1)}" y="${h - 4}" text-anchor="middle">${escapeHtml(p.label)}</text>`;
+  }).join("");
+
+  return `<svg class="salesChart" viewBox="0 0 ${w} ${h}" role="img" aria-label="${T("Ingresos y ganancia por período")}">
+    <line class="chartAxis" x1="0" x2="${w}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" />
+    <text x="2" y="12">${escapeHtml(moneyInt(max))}</text>
+    ${bars}
+  </svg>`;
+}
+
+function renameRecipeInSales(oldName, newName){
+  for (const s of AppStore.listSales()){
+    if (s.recipe !== oldName) continue;
+    s.recipe = newName;
+    AppStore.putSale(s);
+  }
+}
+
+function deleteSale(id){
+  const s = AppStore.listSales().find(x => x.id === id);
+  if (!s) return;
+  if (!confirm(T("¿Eliminar la venta de {units} × “{name}” ({date})?", { units: formatNumber(s.units), name: s.recipe, date: formatDueDate(s.date) }))) return;
+  AppStore.deleteSale(id);
+  renderSalesView();
+}
+
+// Suggested price for the recipe picked in the form
+function fillSalePrice(){
+  const recipe = document.getElementById("saleRecipe").value;
+  const fig = recipe ? recipeUnitFigures(recipe) : null;
+  document.getElementById("salePrice").value = fig ? numInput(Number(fig.unitPrice.toFixed(numberFormat.decimals))) : "";
+}
+
+function submitSaleForm(){
+  const ok = recordSale({
+    date: document.getElementById("saleDate").value,
+    recipe: document.getElementById("saleRecipe").value,
+    units: document.getElementById("saleUnits").value,
+    price: document.getElementById("salePrice").value,
+    channel: document.getElementById("saleChannel").value,
+  });
+  if (!ok) return;
+  document.getElementById("saleUnits").value = "";
+  salesPeriod = null;
+  renderSalesView();
+}
+
+function renderSalesForm(){
+  const dateEl = document.getElementById("saleDate");
+  const recipeEl = document.getElementById("saleRecipe");
+  if (!dateEl || !recipeEl) return;
+  if (!dateEl.value) dateEl.value = todayDateInput();
+
+  const sel = recipeEl.value;
+  recipeEl.innerHTML = `<option value="">${T("— Receta —")}</option>` + knownRecipeNames
+    .map(rn => `<option value="${escapeHtml(rn)}"${rn === sel ? " selected" : ""}>${escapeHtml(rn)}</option>`)
+    .join("");
+
+  const used = AppStore.listSales().map(s => s.channel).filter(Boolean);
+  const channels = Array.from(new Set([...SALE_CHANNELS, ...used]));
+  document.getElementById("saleChannelOptions").innerHTML = channels.map(c => `<option value="${escapeHtml(c)}"></option>`).join("");
+}
+
+function renderSalesView(){
+  const tbody = document.getElementById("salesTbody");
+  if (!tbody) return;
+  renderSalesForm();
+
+  const sales = AppStore.listSales();
+  const buckets = recentSalesBuckets(salesGranularity, salesGranularity === "month" ? 6 : 8);
+  const byBucket = new Map();
+  for (const s of sales){
+    const key = salesBucketKey(s.date, salesGranularity);
+    if (!byBucket.has(key)) byBucket.set(key, []);
+    byBucket.get(key).push(s);
+  }
+
+  // Period picker: recent buckets plus any older one with sales
+  const keys = Array.from(new Set([...buckets, ...byBucket.keys()])).filter(Boolean).sort().reverse();
+  if (!salesPeriod || !keys.includes(salesPeriod)) salesPeriod = buckets[buckets.length - 1];
+  const periodEl = document.getElementById("salesPeriod");
+  periodEl.innerHTML = keys.map(k => `<option value="${k}"${k === salesPeriod ? " selected" : ""}>${escapeHtml(salesBucketLabel(k, salesGranularity))}</option>`).join("");
+
+  const inPeriod = byBucket.get(salesPeriod) || [];
+  const t = summarizeSales(inPeriod);
+  const kpi = (label, value) => `<div class="kv"><div class="k">${label}</div><div class="v">${value}</div></div>`;
+  document.getElementById("salesKpis").innerHTML =
+    kpi(T("Ingresos"), moneyInt(t.revenue))
+    + kpi(T("Costo de ventas"), money(t.cost))
+    + kpi(T("Ganancia bruta"), money(t.profit))
+    + kpi(T("Margen"), t.net > 0 ? `${formatNumber(t.profit / t.net * 100, 1, 1)}%` : "—")
+    + kpi(T("Unidades"), formatNumber(t.units));
+
+  document.getElementById("salesChart").innerHTML = salesChartSVG(buckets.map(k => {
+    const x = summarizeSales(byBucket.get(k) || []);
+    return { label: salesBucketLabel(k, salesGranularity), revenue: x.revenue, profit: x.profit };
+  }));
+
+  const ranking = salesByRecipe(inPeriod);
+  const rankRows = (list, fmt) => list.length ? list.slice(0, 5).map((x, i) => `
+    <tr><td>${i + 1}. ${escapeHtml(x.recipe)}</td><td>${fmt(x)}</td></tr>
+  `).join("") : `<tr><td colspan="2" class="muted">${T("Sin ventas en el período.")}</td></tr>`;
+  document.getElementById("salesTopUnitsTbody").innerHTML = rankRows(
+    ranking.slice().sort((a,b)=>b.units - a.units || b.revenue - a.revenue),
+    x => `${formatNumber(x.units)} u · ${moneyInt(x.revenue)}`
+  );
+  document.getElementById("salesTopProfitTbody").innerHTML = rankRows(
+    ranking.slice().sort((a,b)=>b.profit - a.profit),
+    x => money(x.profit)
+  );
+
+  tbody.innerHTML = sales.length ? sales.slice(0, 100).map(s => {
+    const x = computeSale(s);
+    return `
+      <tr>
+        <td>${escapeHtml(formatDueDate(s.date))}</td>
+        <td>${escapeHtml(s.recipe)}</td>
+        <td>${formatNumber(s.units)}</td>
+        <td>${moneyInt(s.price)}</td>
+        <td>${escapeHtml(s.channel || "—")}</td>
+        <td>${moneyInt(x.revenue)}</td>
+        <td class="${x.profit < 0 ? "saleLoss" : ""}">${money(x.profit)}</td>
+        <td><button class="iconBtnSmall" type="button" data-sale-remove="${escapeHtml(s.id)}" title="${T("Eliminar")}">✕</button></td>
+      </tr>
+    `;
+  }).join("") : `<tr><td colspan="8" class="muted" style="padding:12px;">${T("Aún no hay ventas registradas.")}</td></tr>`;
+}
+
+/* =========================
+   Nutrition + allergens
+   Catalog entries carry `nutrition` per 100 g (100 ml count as 100 g),
+   `gramsPerUnit` for ingredients used by the unit, and `allergens` keys.
+   A recipe adds up its rows; sub-recipes count by their share of the yield.
+   Waste is not eaten, so it doesn't count here.
+   ========================= */
+const NUTRIENTS = [
+  // [key, label, unit]
+  ["kcal",    "Energía",       "kcal"],
+  ["protein", "Proteínas",     "g"],
+  ["fat",     "Grasas",        "g"],
+  ["carbs",   "Carbohidratos", "g"],
+  ["sugar",   "Azúcares",      "g"],
+  ["sodium",  "Sodio",         "mg"],
+];
+const ALLERGENS = [
+  ["gluten",  "Gluten"],
+  ["lactose", "Lactosa"],
+  ["egg",     "Huevo"],
+  ["nuts",    "Frutos secos"],
+  ["soy",     "Soya"],
+];
+let nutritionIngId = null;
+
+function hasNutrition(ing){
+  return !!(ing && ing.nutrition && typeof ing.nutrition === "object");
+}
+
+function parseNutrition(obj){
+  if (!obj || typeof obj !== "object") return null;
+  const out = {};
+  for (const [key] of NUTRIENTS) out[key] = Math.max(0, n(obj[key]));
+  return out;
+}
+
+function parseAllergens(list){
+  if (!Array.isArray(list)) return [];
+  return ALLERGENS.map(([key]) => key).filter(key => list.includes(key));
+}
+
+function allergenLabels(keys){
+  return ALLERGENS.filter(([key]) => keys.has(key)).map(([, label]) => T(label));
+}
+
+// Grams of `qty unit` of a catalog entry, or null when it can't be known
+function ingredientGrams(ing, qty, unit){
+  const u = UNITS[normUnit(unit)];
+  if (u.dim === "count") return n(ing.gramsPerUnit) > 0 ? n(qty) * u.factor * n(ing.gramsPerUnit) : null;
+  return n(qty) * u.factor;
+}
+
+function emptyNutrients(){
+  const out = {};
+  for (const [key] of NUTRIENTS) out[key] = 0;
+  return out;
+}
+
+// { totals (per batch), grams, allergens:Set, missing:Set of names, items:[{name, grams}] }
+function rowsNutrition(rows, stack){
+  const out = { totals: emptyNutrients(), grams: 0, allergens: new Set(), missing: new Set(), items: [] };
+  for (const r of rows || []){
+    const name = String(isSubRecipeRow(r) ? r.subRecipe : r.name || "").trim();
+    if (!name || !(n(r.recipeAmount) > 0)) continue;
+
+    if (isSubRecipeRow(r)){
+      if (stack.has(name)) continue;
+      const sub = recipeNutrition(name, stack);
+      sub.allergens.forEach(a => out.allergens.add(a));
+      sub.missing.forEach(m => out.missing.add(m));
+      const units = convertQty(r.recipeAmount, r.recipeUnit, "unidad");
+      if (units === null || !getRecipeRowsSync(name)){
+        out.missing.add(name);
+        out.items.push({ name, grams: 0 });
+        continue;
+      }
+      const share = units / getRecipeYield(name);
+      for (const [key] of NUTRIENTS) out.totals[key] += sub.totals[key] * share;
+      out.grams += sub.grams * share;
+      out.items.push({ name, grams: sub.grams * share });
+      continue;
+    }
+
+    const ing = catalogEntryForRow(r);
+    if (ing) parseAllergens(ing.allergens).forEach(a => out.allergens.add(a));
+    const grams = ing ? ingredientGrams(ing, r.recipeAmount, r.recipeUnit) : null;
+    out.items.push({ name: ing ? ing.name : name, grams: grams || 0 });
+    if (!hasNutrition(ing) || grams === null){
+      out.missing.add(ing ? ing.name : name);
+      continue;
+    }
+    for (const [key] of NUTRIENTS) out.totals[key] += n(ing.nutrition[key]) * grams / 100;
+    out.grams += grams;
+  }
+  return out;
+}
+
+function recipeNutrition(recipeName, stack){
+  const next = new Set(stack || []);
+  next.add(recipeName);
+  return rowsNutrition(getRecipeRowsSync(recipeName) || [], next);
+}
+
+// Per 100 g and per yield unit
+function nutritionPer(nu, yieldQty){
+  const per100 = emptyNutrients(), perUnit = emptyNutrients();
+  for (const [key] of NUTRIENTS){
+    per100[key] = nu.grams > 0 ? nu.totals[key] * 100 / nu.grams : 0;
+    perUnit[key] = nu.totals[key] / Math.max(1, n(yieldQty));
+  }
+  return { per100, perUnit, unitGrams: nu.grams / Math.max(1, n(yieldQty)) };
+}
+
+function nutritionMissingNote(nu){
+  return nu.missing.size
+    ? T("⚠ Sin datos nutricionales: {names}. Los valores no los incluyen.", { names: [...nu.missing].join(", ") })
+    : "";
+}
+
+function renderNutritionPanel(rows, yieldQty){
+  const tbody = document.getElementById("nutritionTbody");
+  if (!tbody || !currentRecipe) return;
+  const nu = rowsNutrition(rows, new Set([currentRecipe]));
+  const per = nutritionPer(nu, yieldQty);
+
+  const allergens = allergenLabels(nu.allergens);
+  setCellText("allergenSummary", allergens.length
+    ? T("Contiene: {list}", { list: allergens.join(", ") })
+    : T("Sin alérgenos marcados"));
+  const summary = document.getElementById("allergenSummary");
+  if (summary) summary.classList.toggle("hasAllergens", allergens.length > 0);
+
+  tbody.innerHTML = NUTRIENTS.map(([key, label, unit]) => `
+    <tr>
+      <td>${escapeHtml(T(label))} <span class="muted">(${unit})</span></td>
+      <td>${formatNumber(per.per100[key], 1)}</td>
+      <td>${formatNumber(per.perUnit[key], 1)}</td>
+    </tr>
+  `).join("");
+  setCellText("nutritionUnitGrams", T("Unidad ≈ {g} g", { g: formatNumber(per.unitGrams, 0) }));
+  setCellText("nutritionWarning", nutritionMissingNote(nu));
+}
+
+/* ---- Label (printable) ---- */
+function buildNutritionLabelHTML(recipeName, rows, yieldQty){
+  const nu = rowsNutrition(rows, new Set([recipeName]));
+  const per = nutritionPer(nu, yieldQty);
+  // Ingredients go by weight, heaviest first, as on a packaged food label
+  const items = nu.items.slice().sort((a, b) => b.grams - a.grams).map(x => escapeHtml(x.name));
+  const allergens = allergenLabels(nu.allergens);
+  const warning = nutritionMissingNote(nu);
+
+  return `
+    <h3 class="labelTitle">${escapeHtml(recipeName)}</h3>
+    <div class="muted">${T("Porción: 1 unidad (≈ {g} g)", { g: formatNumber(per.unitGrams, 0) })}</div>
+    <table class="labelTable">
+      <thead><tr><th></th><th>${T("Por 100 g")}</th><th>${T("Por porción")}</th></tr></thead>
+      <tbody>${NUTRIENTS.map(([key, label, unit]) => `
+        <tr><td>${escapeHtml(T(label))} (${unit})</td><td>${formatNumber(per.per100[key], 1)}</td><td>${formatNumber(per.perUnit[key], 1)}</td></tr>`).join("")}
+      </tbody>
+    </table>
+    <p><b>${T("Ingredientes:")}</b> ${items.join(", ") || "—"}</p>
+    <p><b>${allergens.length ? T("Contiene: {list}", { list: escapeHtml(allergens.join(", ")) }) : T("Sin alérgenos marcados")}</b></p>
+    ${warning ? `<p class="smallNote labelWarning">${escapeHtml(warning)}</p>` : ""}
+  `;
+}
+
+function openLabelDialog(){
+  const dlg = document.getElementById("labelDialog");
+  const box = document.getElementById("labelContent");
+  if (!dlg || !box || !currentRecipe) return;
+  box.innerHTML = buildNutritionLabelHTML(currentRecipe, rowsState, readRecipeSettingsFromUI().yieldQty);
+  if (typeof dlg.showModal === "function") dlg.showModal();
+  else dlg.setAttribute("open", "");
+}
+
+function closeLabelDialog(){
+  const dlg = document.getElementById("labelDialog");
+  document.body.classList.remove("printingLabel");
+  if (!dlg) return;
+  if (typeof dlg.close === "function") dlg.close();
+  else dlg.removeAttribute("open");
+}
+
+// The print stylesheet hides everything but the label while this class is on.
+// print() returns right away on iOS/Android, so the class comes off on afterprint.
+function printLabel(){
+  document.body.classList.add("printingLabel");
+  window.addEventListener("afterprint", () => document.body.classList.remove("printingLabel"), { once: true });
+  window.print();
+}
+
+/* ---- Per-ingredient data (Ingredientes view) ---- */
+function openNutritionDialog(id){
+  const ing = loadCatalog()[id];
+  const dlg = document.getElementById("nutritionDialog");
+  if (!ing || !dlg) return;
+  nutritionIngId = id;
+  document.getElementById("nutritionTitle").textContent = T("Nutrición: {name}", { name: ing.name });
+
+  const values = hasNutrition(ing) ? ing.nutrition : null;
+  document.getElementById("nutritionFields").innerHTML = NUTRIENTS.map(([key, label, unit]) => `
+    <label class="fieldLabel" for="nutrition_${key}">${escapeHtml(T(label))} (${unit})</label>
+    <input id="nutrition_${key}" data-nutrient="${key}" inputmode="decimal" value="${values ? numInput(values[key]) : ""}" placeholder="—" />
+  `).join("");
+  document.getElementById("nutritionGramsPerUnit").value = n(ing.gramsPerUnit) > 0 ? numInput(ing.gramsPerUnit) : "";
+
+  const picked = new Set(parseAllergens(ing.allergens));
+  document.getElementById("nutritionAllergens").innerHTML = ALLERGENS.map(([key, label]) => `
+    <label class="check"><input type="checkbox" data-allergen="${key}"${picked.has(key) ? " checked" : ""} /> ${escapeHtml(T(label))}</label>
+  `).join("");
+
+  if (typeof dlg.showModal === "function") dlg.showModal();
+  else dlg.setAttribute("open", "");
+}
+
+function closeNutritionDialog(){
+  const dlg = document.getElementById("nutritionDialog");
+  nutritionIngId = null;
+  if (!dlg) return;
+  if (typeof dlg.close === "function") dlg.close();
+  else dlg.removeAttribute("open");
+}
+
+async function confirmNutrition(){
+  const cat = loadCatalog();
+  const ing = nutritionIngId ? cat[nutritionIngId] : null;
+  if (!ing){ closeNutritionDialog(); return; }
+
+  // All fields empty = no data (distinct from an ingredient that is all zeros, like water)
+  const inputs = Array.from(document.querySelectorAll("#nutritionFields [data-nutrient]"));
+  if (inputs.some(el => String(el.value).trim() !== "")){
+    const raw = {};
+    for (const el of inputs) raw[el.dataset.nutrient] = el.value;
+    ing.nutrition = parseNutrition(raw);
+  }else{
+    delete ing.nutrition;
+  }
+
+  const grams = n(document.getElementById("nutritionGramsPerUnit").value);
+  if (grams > 0) ing.gramsPerUnit = grams;
+  else delete ing.gramsPerUnit;
+
+  const allergens = Array.from(document.querySelectorAll("#nutritionAllergens [data-allergen]:checked")).map(el => el.dataset.allergen);
+  if (allergens.length) ing.allergens = parseAllergens(allergens);
+  else delete ing.allergens;
+
+  saveCatalog(cat);
+  closeNutritionDialog();
+  onCatalogChanged();
+  if (currentView === "ingredients") await renderIngredientsView();
+}
+
+/* =========================
+   Export / Import DB (ingredients per recipe)
+   ========================= */
+function downloadJson(filename, obj){
+  downloadBlob(filename, new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" }));
+}
+
+function downloadBlob(filename, blob){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+
+async function exportIngredientsDB(){
+  const names = await listAllRecipeNames();
+  const meta = loadMeta();
+  for (const rn of names) ensureMetaForRecipe(meta, rn);
+  saveMeta(meta);
+
+  const outRecipes = [];
+
+  for (const recipeName of names){
+    // Load rows as they appear in editor (includes cost/amount/recipeAmount)
+    const rows = loadRowsForRecipe(recipeName) || defaultRows();
+    const s = getRecipeSettings(recipeName);
+
+    const normalizedRows = hydrateRowsFromCatalog(rows).map(r => {
+      const ingredient = String(r.name || "").trim();
+      const { cost, amount, unit } = rowPurchase(r);
+      const recipeAmount = n(r.recipeAmount);
+      const recipeUnit = normUnit(r.recipeUnit);
+
+      const { unit: unitCost, recipeCost, wasteCost, unitError } = computeRow(r);
+
+      return {
+        ingredient,
+        subRecipe: isSubRecipeRow(r) ? r.subRecipe : undefined,
         cost,
         amount,
+        unit,
         unitCost,
         recipeAmount,
-        recipeCost
+        recipeUnit,
+        wastePct: hasOwnWaste(r) ? clampWastePct(r.wastePct) : null,
+        wasteCost,
+        recipeCost,
+        unitError
       };
     });
 
-    const totalCost = normalizedRows.reduce((acc, r) => acc + n(r.recipeCost), 0);
-    const marginPct = n(s.marginPct);
-    const finalPrice = Math.round(totalCost * (1 + marginPct / 100));
-    const yieldQty = Math.max(1, n(s.yieldQty));
-
-    const unitCostTotal = totalCost / yieldQty;
-    const unitPriceTotal = finalPrice / yieldQty;
+    const c = computeRecipeCosts(rows, s);
 
     outRecipes.push({
       recipe: recipeName,
       favorite: !!meta[recipeName]?.favorite,
-      marginPct,
-      yieldQty,
-      totalCost,
-      finalPrice,
-      unitCost: unitCostTotal,
-      unitPrice: unitPriceTotal,
+      category: meta[recipeName].category,
+      tags: meta[recipeName].tags,
+      marginPct: c.marginPct,
+      yieldQty: c.yieldQty,
+      laborMin: n(s.laborMin),
+      laborRate: s.laborRate,
+      ovenMin: n(s.ovenMin),
+      ovenRate: s.ovenRate,
+      packagingPerUnit: s.packagingPerUnit,
+      ingredientCost: c.ingredients,
+      wasteCost: c.waste,
+      laborCost: c.labor,
+      ovenCost: c.oven,
+      packagingCost: c.packaging,
+      overheadCost: c.overhead,
+      totalCost: c.total,
+      netPrice: c.netPrice,
+      taxAmount: c.taxAmount,
+      finalPrice: c.finalPrice,
+      unitCost: c.unitCost,
+      unitPrice: c.unitPrice,
+      formats: parseSaleFormats(s.formats).map(f => {
+        const fc = computeFormatCosts(c, f);
+        return { ...f, unitCost: fc.unitCost, unitPrice: fc.unitPrice };
+      }),
       rows: normalizedRows
     });
   }
 
-  const payload = {
-    version: 3,
-    exportedAt: new Date().toISOString(),
-    recipes: outRecipes
+  const ingredients = Object.values(loadCatalog())
+    .sort((a,b)=>a.name.localeCompare(b.name))
+    .map(x => {
+      const out = { ingredient: x.name, cost: n(x.cost), amount: n(x.amount), unit: normUnit(x.unit), priceHistory: x.priceHistory || [] };
+      if (isStockTracked(x)) out.stock = x.stock;
+      if (n(x.minStock) > 0) out.minStock = n(x.minStock);
+      if (n(x.wastePct) > 0) out.wastePct = clampWastePct(x.wastePct);
+      if (hasNutrition(x)) out.nutrition = parseNutrition(x.nutrition);
+      if (n(x.gramsPerUnit) > 0) out.gramsPerUnit = n(x.gramsPerUnit);
+      if (parseAllergens(x.allergens).length) out.allergens = parseAllergens(x.allergens);
+      if (hasOffers(x)) out.offers = x.offers;
+      return out;
+    });
+
+  const payload = {
+    version: 4,
+    exportedAt: new Date().toISOString(),
+    settings: loadSettings(),
+    ingredients,
+    recipes: outRecipes,
+    orders: AppStore.listOrders(),
+    sales: AppStore.listSales(),
+  };
+
+  downloadJson("dessert_recipes_full_export.json", payload);
+}
+
+
+/* =========================
+   Import: parse -> preview (diff + per-conflict choice) -> apply
+   ========================= */
+function importRowFromFile(r){
+  return {
+    name: String(r && r.ingredient || "").trim(),
+    cost: n(r && r.cost),
+    amount: n(r && r.amount),
+    unit: normUnit(r && r.unit),
+    recipeAmount: n(r && r.recipeAmount),
+    recipeUnit: normUnit(r && r.recipeUnit),
+    wastePct: (r && hasOwnWaste(r)) ? clampWastePct(r.wastePct) : null,
+    ingId: null,
+    subRecipe: (r && typeof r.subRecipe === "string") ? r.subRecipe : null,
+  };
+}
+
+function parseImportOrders(list, errors){
+  const out = [];
+  list.forEach((o, idx) => {
+    const label = T("Pedido #{n}", { n: idx + 1 });
+    const lines = Array.isArray(o && o.lines)
+      ? o.lines.map(l => ({ recipe: String(l && l.recipe || "").trim(), qty: n(l && l.qty) })).filter(l => l.recipe && l.qty > 0)
+      : [];
+    const due = String(o && o.dueDate || "");
+    if (!o || !String(o.customer || "").trim() || !/^\d{4}-\d{2}-\d{2}$/.test(due) || !lines.length){
+      errors.push({ recipe: label, message: T("Pedido incompleto (cliente, fecha o recetas); se omitió.") });
+      return;
+    }
+    out.push({
+      id: String(o.id || newOrderId()),
+      customer: String(o.customer).trim(),
+      dueDate: due,
+      notes: String(o.notes || "").trim(),
+      status: (o.status === "done") ? "done" : "pending",
+      lines,
+      createdAt: String(o.createdAt || new Date().toISOString()),
+    });
+  });
+  return out;
+}
+
+function parseImportSales(list, errors){
+  const out = [];
+  list.forEach((s, idx) => {
+    const date = String(s && s.date || "");
+    if (!s || !String(s.recipe || "").trim() || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !(n(s.units) > 0)){
+      errors.push({ recipe: T("Venta #{n}", { n: idx + 1 }), message: T("Venta incompleta (receta, fecha o unidades); se omitió.") });
+      return;
+    }
+    out.push({
+      id: String(s.id || newSaleId()),
+      date,
+      recipe: String(s.recipe).trim(),
+      units: n(s.units),
+      price: n(s.price),
+      channel: String(s.channel || "").trim(),
+      unitCost: n(s.unitCost),
+      taxPct: n(s.taxPct),
+      createdAt: String(s.createdAt || new Date().toISOString()),
+    });
+  });
+  return out;
+}
+
+// Normalizes any supported export into
+// { settings|null, ingredients:[{name,cost,amount,unit}], recipes:[{name, meta, rows}], orders:[...], sales:[...], errors:[{recipe, message}] }
+function parseImportObject(obj){
+  if (!obj || typeof obj !== "object") throw new Error(T("JSON inválido."));
+  const plan = { settings: null, ingredients: [], recipes: [], orders: [], sales: [], errors: [] };
+  const seen = new Set();
+
+  const addRecipe = (name, meta, rows) => {
+    const key = normIngName(name);
+    if (seen.has(key)){
+      plan.errors.push({ recipe: name, message: T("Aparece más de una vez en el archivo; se usó la primera.") });
+      return;
+    }
+    seen.add(key);
+    plan.recipes.push({ name, meta, rows });
+  };
+
+  // v3+ full export
+  if (Array.isArray(obj.recipes) && !Array.isArray(obj.items)){
+    if (obj.settings && typeof obj.settings === "object") plan.settings = obj.settings;
+
+    obj.recipes.forEach((rec, idx) => {
+      const name = String(rec && rec.recipe || "").trim();
+      if (!name){
+        plan.errors.push({ recipe: `#${idx + 1}`, message: T("Receta sin nombre.") });
+        return;
+      }
+      if (!Array.isArray(rec.rows)){
+        plan.errors.push({ recipe: name, message: T("No tiene una lista de ingredientes válida.") });
+        return;
+      }
+
+      const meta = {};
+      if ("favorite" in rec) meta.favorite = !!rec.favorite;
+      if ("category" in rec) meta.category = String(rec.category || "").trim();
+      if ("tags" in rec) meta.tags = normTags(rec.tags);
+      const mp = Number(rec.marginPct);
+      const yq = Number(rec.yieldQty);
+      if (Number.isFinite(mp)) meta.marginPct = mp;
+      if (Number.isFinite(yq) && yq > 0) meta.yieldQty = yq;
+      for (const key of ["laborMin", "laborRate", "ovenMin", "ovenRate", "packagingPerUnit"]){
+        if (key in rec) meta[key] = rec[key];
+      }
+      ensureOverheadFields(meta);
+      for (const key of ["laborMin", "laborRate", "ovenMin", "ovenRate", "packagingPerUnit"]){
+        if (!(key in rec)) delete meta[key];
+      }
+      // No formats is stored as a missing key (see ensureMetaForRecipe)
+      if ("formats" in rec){
+        const formats = parseSaleFormats(rec.formats);
+        meta.formats = formats.length ? formats : undefined;
+      }
+
+      const rows = rec.rows.map(importRowFromFile).filter(r => r.name);
+      const skipped = rec.rows.length - rows.length;
+      if (skipped) plan.errors.push({ recipe: name, message: T("{count} fila(s) sin ingrediente se omitieron.", { count: skipped }) });
+      addRecipe(name, meta, rows);
+    });
+
+    // v4+: shared catalog travels with the export; older files only have the row copies
+    if (Array.isArray(obj.ingredients)){
+      for (const ing of obj.ingredients){
+        const name = String(ing && ing.ingredient || "").trim();
+        if (!name) continue;
+        const entry = { name, cost: n(ing.cost), amount: n(ing.amount), unit: normUnit(ing.unit), priceHistory: parsePriceHistory(ing.priceHistory) };
+        if (typeof ing.stock === "number" && isFinite(ing.stock)) entry.stock = ing.stock;
+        if (n(ing.minStock) > 0) entry.minStock = n(ing.minStock);
+        if ("wastePct" in ing) entry.wastePct = clampWastePct(ing.wastePct);
+        if (ing.nutrition && typeof ing.nutrition === "object") entry.nutrition = parseNutrition(ing.nutrition);
+        if (n(ing.gramsPerUnit) > 0) entry.gramsPerUnit = n(ing.gramsPerUnit);
+        if (Array.isArray(ing.allergens)) entry.allergens = parseAllergens(ing.allergens);
+        if (Array.isArray(ing.offers)) entry.offers = parseOffers(ing.offers);
+        plan.ingredients.push(entry);
+      }
+    }else{
+      const names = new Set();
+      for (const rec of plan.recipes){
+        for (const r of rec.rows){
+          const key = normIngName(r.name);
+          if (isSubRecipeRow(r) || names.has(key) || !(r.cost > 0 || r.amount > 0)) continue;
+          names.add(key);
+          plan.ingredients.push({ name: r.name, cost: r.cost, amount: r.amount, unit: r.unit });
+        }
+      }
+    }
+    if (Array.isArray(obj.orders)) plan.orders = parseImportOrders(obj.orders, plan.errors);
+    if (Array.isArray(obj.sales)) plan.sales = parseImportSales(obj.sales, plan.errors);
+    return plan;
+  }
+
+  // Backward-compat: v2 format {items:[{recipe,ingredient}], recipes:[{recipe,marginPct,yieldQty}]}
+  const items = Array.isArray(obj.items) ? obj.items : null;
+  if (!items) throw new Error(T("JSON inválido o versión no soportada."));
+
+  const map = new Map();
+  for (const it of items){
+    if (!it) continue;
+    const recipe = String(it.recipe || "").trim();
+    const ingredient = String(it.ingredient || "").trim();
+    if (!recipe || !ingredient) continue;
+    if (!map.has(recipe)) map.set(recipe, new Set());
+    map.get(recipe).add(ingredient);
+  }
+  if (!map.size) throw new Error(T("No hay items válidos para importar."));
+
+  const settingsByName = {};
+  if (Array.isArray(obj.recipes)){
+    for (const r of obj.recipes){
+      const rn = String(r && (r.recipe || r.name) || "").trim();
+      if (!rn) continue;
+      const mp = Number(r.marginPct);
+      const yq = Number(r.yieldQty);
+      settingsByName[rn] = {
+        marginPct: Number.isFinite(mp) ? mp : 30,
+        yieldQty: (Number.isFinite(yq) && yq > 0) ? yq : 1
+      };
+    }
+  }
+
+  for (const [recipe, setIngs] of map.entries()){
+    const rows = Array.from(setIngs).sort((a,b)=>a.localeCompare(b)).map(ing => ({ ...newRow(), name: ing }));
+    addRecipe(recipe, settingsByName[recipe] || {}, rows);
+  }
+  return plan;
+}
+
+function importRowKey(r){
+  return isSubRecipeRow(r) ? "sub:" + normIngName(r.subRecipe) : normIngName(r.name);
+}
+
+function formatQty(v, unit){
+  return `${formatNumber(v, 3)} ${unitLabel(unit)}`;
+}
+
+function describePurchase(p){
+  return `${money(p.cost)} / ${formatQty(p.amount, p.unit)}`;
+}
+
+// Row-level + settings diff of a file recipe against the local one
+function diffImportRecipe(rec, localName){
+  const meta = loadMeta();
+  ensureMetaForRecipe(meta, localName);
+  const localMeta = meta[localName];
+
+  const settings = [];
+  for (const [key, label] of RECIPE_FIELD_LABELS){
+    if (!(key in rec.meta)) continue;
+    const a = localMeta[key], b = rec.meta[key];
+    if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)) settings.push({ label, from: a, to: b });
+  }
+
+  const localRows = hydrateRowsFromCatalog(getRecipeRowsSync(localName) || []);
+  const keyed = (rows) => {
+    const out = new Map();
+    for (const r of rows){
+      let key = importRowKey(r);
+      for (let i = 2; out.has(key); i++) key = importRowKey(r) + "#" + i;
+      out.set(key, r);
+    }
+    return out;
+  };
+  const mine = keyed(localRows.filter(r => String(r.name || "").trim()));
+  const theirs = keyed(rec.rows);
+
+  const rows = [];
+  for (const [key, r] of theirs){
+    const l = mine.get(key);
+    if (!l){
+      rows.push({ type: "add", name: r.name, detail: formatQty(r.recipeAmount, r.recipeUnit) });
+      continue;
+    }
+    const changes = [];
+    if (n(l.recipeAmount) !== n(r.recipeAmount) || normUnit(l.recipeUnit) !== normUnit(r.recipeUnit)){
+      changes.push(T("cantidad {from} → {to}", { from: formatQty(l.recipeAmount, l.recipeUnit), to: formatQty(r.recipeAmount, r.recipeUnit) }));
+    }
+    if (rowWastePct(l) !== rowWastePct(r)){
+      changes.push(T("merma {from} → {to}", { from: `${formatNumber(rowWastePct(l), 1)}%`, to: `${formatNumber(rowWastePct(r), 1)}%` }));
+    }
+    if (!isSubRecipeRow(r)){
+      const lp = rowPurchase(l);
+      if (n(lp.cost) !== n(r.cost) || n(lp.amount) !== n(r.amount) || normUnit(lp.unit) !== normUnit(r.unit)){
+        changes.push(T("costo {from} → {to}", { from: describePurchase(lp), to: describePurchase(r) }));
+      }
+    }
+    if (changes.length) rows.push({ type: "change", name: r.name, detail: changes.join("; ") });
+  }
+  for (const [key, l] of mine){
+    if (!theirs.has(key)) rows.push({ type: "del", name: l.name, detail: formatQty(l.recipeAmount, l.recipeUnit) });
+  }
+
+  return { settings, rows };
+}
+
+// Catalog entries the file would add or reprice
+function diffImportIngredients(plan){
+  const cat = loadCatalog();
+  let added = 0, changed = 0;
+  for (const ing of plan.ingredients){
+    const id = findCatalogIdByName(cat, ing.name);
+    if (!id) { added++; continue; }
+    const e = cat[id];
+    if (n(e.cost) !== ing.cost || n(e.amount) !== ing.amount || normUnit(e.unit) !== ing.unit
+      || ("offers" in ing && JSON.stringify(e.offers || []) !== JSON.stringify(ing.offers))) changed++;
+  }
+  return { added, changed };
+}
+
+// Orders are matched by id; ones already here are left as they are
+function countNewImportOrders(plan){
+  const ids = new Set(AppStore.listOrders().map(o => o.id));
+  return plan.orders.filter(o => !ids.has(o.id)).length;
+}
+
+// Sales too, by id
+function countNewImportSales(plan){
+  const ids = new Set(AppStore.listSales().map(s => s.id));
+  return plan.sales.filter(s => !ids.has(s.id)).length;
+}
+
+function importSettingsDiffer(plan){
+  if (!plan.settings) return false;
+  const g = loadSettings();
+  return Object.keys(DEFAULT_SETTINGS).some(k => k in plan.settings && JSON.stringify(plan.settings[k]) !== JSON.stringify(g[k]));
+}
+
+async function buildImportPreview(plan){
+  const names = await listAllRecipeNames();
+  const preview = { fresh: [], changed: [], same: [] };
+  for (const rec of plan.recipes){
+    const localName = findRecipeName(names, rec.name);
+    if (!localName){ preview.fresh.push({ rec }); continue; }
+    const diff = diffImportRecipe(rec, localName);
+    const entry = { rec, localName, diff };
+    if (diff.settings.length || diff.rows.length) preview.changed.push(entry);
+    else preview.same.push(entry);
+  }
+  return preview;
+}
+
+function renderImportDiffHTML(diff){
+  const settings = diff.settings.map(x =>
+    `<li class="diffChg">${escapeHtml(T(x.label))}: ${escapeHtml(formatFieldValue(x.from))} → ${escapeHtml(formatFieldValue(x.to))}</li>`
+  ).join("");
+  const rows = diff.rows.map(x => {
+    const cls = x.type === "add" ? "diffAdd" : (x.type === "del" ? "diffDel" : "diffChg");
+    const sign = x.type === "add" ? "+" : (x.type === "del" ? "−" : "~");
+    return `<li class="${cls}">${sign} ${escapeHtml(x.name)} <span class="muted">${escapeHtml(x.detail)}</span></li>`;
+  }).join("");
+  return `<ul class="diffList">${settings}${rows}</ul>`;
+}
+
+function renderImportPreviewHTML(plan, preview){
+  const ing = diffImportIngredients(plan);
+  const parts = [];
+
+  parts.push(`<p class="muted" style="margin:0;">${T("{fresh} nueva(s), {changed} con cambios, {same} sin cambios", { fresh: preview.fresh.length, changed: preview.changed.length, same: preview.same.length })}${plan.errors.length ? T(", {count} aviso(s)", { count: plan.errors.length }) : ""}.</p>`);
+
+  const opts = [];
+  if (ing.added || ing.changed){
+    opts.push(`<label class="check"><input id="importCatalogChk" type="checkbox" checked /><span>${T("Actualizar catálogo de ingredientes ({added} nuevo(s), {changed} con otro precio)", { added: ing.added, changed: ing.changed })}</span></label>`);
+  }
+  if (importSettingsDiffer(plan)){
+    opts.push(`<label class="check"><input id="importSettingsChk" type="checkbox" checked /><span>${T("Usar los ajustes globales del archivo")}</span></label>`);
+  }
+  const newOrders = countNewImportOrders(plan);
+  if (newOrders){
+    opts.push(`<label class="check"><input id="importOrdersChk" type="checkbox" checked /><span>${T("Agregar pedidos ({count} nuevo(s))", { count: newOrders })}</span></label>`);
+  }
+  const newSales = countNewImportSales(plan);
+  if (newSales){
+    opts.push(`<label class="check"><input id="importSalesChk" type="checkbox" checked /><span>${T("Agregar ventas ({count} nueva(s))", { count: newSales })}</span></label>`);
+  }
+  if (opts.length) parts.push(`<div class="importOptions">${opts.join("")}</div>`);
+
+  if (preview.fresh.length){
+    parts.push(`<h3>${T("Nuevas ({count})", { count: preview.fresh.length })}</h3><ul class="importList">${
+      preview.fresh.map(x => `<li>${escapeHtml(x.rec.name)} <span class="muted">${T("{count} ingrediente(s)", { count: x.rec.rows.length })}</span></li>`).join("")
+    }</ul>`);
+  }
+
+  if (preview.changed.length){
+    parts.push(`<h3>${T("Con cambios ({count})", { count: preview.changed.length })}</h3>`);
+    if (preview.changed.length > 1){
+      parts.push(`<div class="kv"><div class="k">${T("Para todas")}</div><select id="importBulkChoice" class="select" style="max-width:220px;">
+        <option value="">—</option>
+        <option value="mine">${T("Mantener la mía")}</option>
+        <option value="theirs">${T("Usar la del archivo")}</option>
+        <option value="copy">${T("Importar como copia")}</option>
+      </select></div>`);
+    }
+    parts.push(`<div class="importList">${preview.changed.map((x, i) => `
+      <div class="importConflict">
+        <div class="kv">
+          <div class="k"><b>${escapeHtml(x.localName)}</b></div>
+          <select class="select" data-import-choice="${i}" style="max-width:220px;">
+            <option value="mine">${T("Mantener la mía")}</option>
+            <option value="theirs">${T("Usar la del archivo")}</option>
+            <option value="copy">${T("Importar como copia")}</option>
+          </select>
+        </div>
+        <details><summary class="muted">${T("Ver diferencias ({count})", { count: x.diff.settings.length + x.diff.rows.length })}</summary>${renderImportDiffHTML(x.diff)}</details>
+      </div>
+    `).join("")}</div>`);
+  }
+
+  if (preview.same.length){
+    parts.push(`<details><summary><h3 style="display:inline;">${T("Sin cambios ({count})", { count: preview.same.length })}</h3></summary><ul class="importList">${
+      preview.same.map(x => `<li>${escapeHtml(x.localName)}</li>`).join("")
+    }</ul></details>`);
+  }
+
+  if (plan.errors.length){
+    parts.push(`<h3>${T("Avisos")}</h3><ul class="importList">${
+      plan.errors.map(e => `<li class="diffDel">${escapeHtml(e.recipe)}: ${escapeHtml(e.message)}</li>`).join("")
+    }</ul>`);
+  }
+  return parts.join("");
+}
+
+function closeImportDialog(){
+  const dlg = document.getElementById("importDialog");
+  if (!dlg) return;
+  if (typeof dlg.close === "function" && dlg.open) dlg.close();
+  else dlg.removeAttribute("open");
+}
+
+// Shows the preview; nothing is written until "Importar" is pressed
+async function importIngredientsDBFromObject(obj){
+  const plan = parseImportObject(obj);
+
+  persistCurrentRecipeSettingsFromUI();
+  flushPendingSave();
+  const preview = await buildImportPreview(plan);
+
+  const dlg = document.getElementById("importDialog");
+  const body = document.getElementById("importPreview");
+  const okBtn = document.getElementById("importConfirmBtn");
+  const cancelBtn = document.getElementById("importCancelBtn");
+  if (!dlg || !body || !okBtn || !cancelBtn) return;
+
+  body.innerHTML = renderImportPreviewHTML(plan, preview);
+
+  const bulk = document.getElementById("importBulkChoice");
+  if (bulk) bulk.addEventListener("change", () => {
+    if (!bulk.value) return;
+    body.querySelectorAll("[data-import-choice]").forEach(sel => { sel.value = bulk.value; });
+  });
+
+  okBtn.onclick = async () => {
+    const choices = preview.changed.map((x, i) => {
+      const sel = body.querySelector(`[data-import-choice="${i}"]`);
+      return sel ? sel.value : "mine";
+    });
+    const catChk = document.getElementById("importCatalogChk");
+    const setChk = document.getElementById("importSettingsChk");
+    const ordChk = document.getElementById("importOrdersChk");
+    const salesChk = document.getElementById("importSalesChk");
+    closeImportDialog();
+    try{
+      const report = await applyImportPlan(plan, preview, choices, {
+        catalog: catChk ? catChk.checked : false,
+        settings: setChk ? setChk.checked : false,
+        orders: ordChk ? ordChk.checked : false,
+        sales: salesChk ? salesChk.checked : false,
+      });
+      alert(formatImportReport(report));
+    }catch(err){
+      console.error("Import failed:", err);
+      alert(T("No se pudo completar la importación. Intenta nuevamente."));
+    }
+  };
+  cancelBtn.onclick = closeImportDialog;
+
+  if (typeof dlg.showModal === "function") dlg.showModal();
+  else dlg.setAttribute("open", "");
+}
+
+function writeImportedRecipe(target, rec, baseMeta, syncCatalog){
+  const meta = loadMeta();
+  meta[target] = { ...(baseMeta || {}), ...rec.meta };
+  ensureMetaForRecipe(meta, target);
+  saveMeta(meta);
+
+  const rows = JSON.parse(JSON.stringify(rec.rows));
+  hydrateRowsFromCatalog(rows);
+  if (syncCatalog) updateCatalogFromRows(rows);
+  saveRowsForRecipe(target, rows.length ? rows : defaultRows());
+  saveRevision(target, "import");
+}
+
+async function applyImportPlan(plan, preview, choices, options){
+  const report = { created: [], replaced: [], copied: [], kept: [], same: preview.same.length, orders: 0, sales: 0, errors: plan.errors.slice() };
+
+  if (options.settings && plan.settings){
+    saveSettings(plan.settings);
+    applyOfferSelectionToCatalog();
+  }
+  if (options.catalog){
+    const cat = loadCatalog();
+    for (const ing of plan.ingredients){
+      const isNew = !findCatalogIdByName(cat, ing.name);
+      const id = upsertCatalogIngredient(cat, ing.name, ing.cost, ing.amount, ing.unit);
+      if (id && ing.priceHistory) cat[id].priceHistory = mergePriceHistory(cat[id].priceHistory, ing.priceHistory);
+      // Stock is what's on this shelf: only seed it for entries we didn't have
+      if (id && isNew){
+        if ("stock" in ing) cat[id].stock = ing.stock;
+        if ("minStock" in ing) cat[id].minStock = ing.minStock;
+      }
+      if (id && "wastePct" in ing){
+        if (ing.wastePct > 0) cat[id].wastePct = ing.wastePct;
+        else delete cat[id].wastePct;
+      }
+      // Label data travels with the file; entries without it keep ours
+      if (id && "nutrition" in ing) cat[id].nutrition = ing.nutrition;
+      if (id && "gramsPerUnit" in ing) cat[id].gramsPerUnit = ing.gramsPerUnit;
+      if (id && "allergens" in ing){
+        if (ing.allergens.length) cat[id].allergens = ing.allergens;
+        else delete cat[id].allergens;
+      }
+      // The file's offers replace ours; the local rule then picks the price
+      if (id && "offers" in ing){
+        if (ing.offers.length) cat[id].offers = ing.offers;
+        else delete cat[id].offers;
+      }
+      if (id) applyOfferSelection(cat[id]);
+    }
+    saveCatalog(cat);
+  }
+  if (options.orders){
+    const ids = new Set(AppStore.listOrders().map(o => o.id));
+    for (const o of plan.orders){
+      if (ids.has(o.id)) continue;
+      AppStore.putOrder(o);
+      report.orders++;
+    }
+  }
+  if (options.sales){
+    const ids = new Set(AppStore.listSales().map(s => s.id));
+    for (const s of plan.sales){
+      if (ids.has(s.id)) continue;
+      AppStore.putSale(s);
+      report.sales++;
+    }
+  }
+
+  for (const x of preview.fresh){
+    try{
+      writeImportedRecipe(x.rec.name, x.rec, null, options.catalog);
+      report.created.push(x.rec.name);
+    }catch(err){
+      console.error("Import recipe failed:", err);
+      report.errors.push({ recipe: x.rec.name, message: T("No se pudo guardar.") });
+    }
+  }
+
+  for (let i = 0; i < preview.changed.length; i++){
+    const x = preview.changed[i];
+    const choice = choices[i] || "mine";
+    try{
+      if (choice === "theirs"){
+        writeImportedRecipe(x.localName, x.rec, loadMeta()[x.localName], options.catalog);
+        report.replaced.push(x.localName);
+      }else if (choice === "copy"){
+        const copyName = suggestCopyName(x.rec.name, await listAllRecipeNames());
+        writeImportedRecipe(copyName, x.rec, null, options.catalog);
+        report.copied.push(copyName);
+      }else{
+        report.kept.push(x.localName);
+      }
+    }catch(err){
+      console.error("Import recipe failed:", err);
+      report.errors.push({ recipe: x.localName, message: T("No se pudo guardar.") });
+    }
+  }
+
+  await AppStore.flush();
+
+  // The open recipe may have been replaced
+  if (report.replaced.includes(currentRecipe)){
+    rowsState = await ensureRowsForRecipe(currentRecipe);
+    undoStacks.delete(currentRecipe);
+    updateUndoButtons();
+  }
+
+  // Refresh UI
+  await refreshRecipesUI();
+  applyRecipeSettingsToUI();
+  applyOverheadPlaceholders();
+  applyPricingLabels();
+  onCatalogChanged();
+  if (currentView === "ingredients") await renderIngredientsView();
+  if (currentView === "settings") renderSettingsView();
+  if (currentView === "orders") renderOrdersView();
+  if (currentView === "sales") renderSalesView();
+  if (currentView === "suppliers") renderSuppliersView();
+  renderHistoryPanel();
+  return report;
+}
+
+function formatImportReport(r){
+  const lines = [T("Importación completada.")];
+  if (r.created.length) lines.push(T("Nuevas: {count}", { count: r.created.length }));
+  if (r.replaced.length) lines.push(T("Reemplazadas: {names}", { names: r.replaced.join(", ") }));
+  if (r.copied.length) lines.push(T("Importadas como copia: {names}", { names: r.copied.join(", ") }));
+  if (r.kept.length) lines.push(T("Se mantuvo la versión local: {count}", { count: r.kept.length }));
+  if (r.same) lines.push(T("Sin cambios: {count}", { count: r.same }));
+  if (r.orders) lines.push(T("Pedidos agregados: {count}", { count: r.orders }));
+  if (r.sales) lines.push(T("Ventas agregadas: {count}", { count: r.sales }));
+  if (r.errors.length){
+    lines.push("", T("Problemas:"));
+    for (const e of r.errors) lines.push(`• ${e.recipe}: ${e.message}`);
+  }
+  return lines.join("\n");
+}
+
+/* =========================
+   Revision history (snapshot on Guardar and on import)
+   A revision keeps the rows with the prices of that moment, so two of them
+   can be compared even after the catalog changed.
+   ========================= */
+const REVISION_LIMIT = 100; // per recipe, oldest dropped first
+
+const REVISION_SOURCES = { save: "Guardar", import: "Importación" };
+
+function buildRevision(recipeName, source){
+  const rows = hydrateRowsFromCatalog(JSON.parse(JSON.stringify(getRecipeRowsSync(recipeName) || [])));
+  const s = getRecipeSettings(recipeName);
+  const c = computeRecipeCosts(rows, s);
+
+  const settings = {};
+  for (const [key] of RECIPE_FIELD_LABELS){
+    if (!RECIPE_ORGANIZE_FIELDS.includes(key)) settings[key] = s[key];
+  }
+
+  return {
+    id: "rev_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    recipe: recipeName,
+    createdAt: new Date().toISOString(),
+    source,
+    rows: rows.filter(r => String(r.name || "").trim()).map(r => {
+      const p = rowPurchase(r);
+      return {
+        name: r.name,
+        subRecipe: isSubRecipeRow(r) ? r.subRecipe : null,
+        cost: p.cost,
+        amount: p.amount,
+        unit: p.unit,
+        recipeAmount: n(r.recipeAmount),
+        recipeUnit: normUnit(r.recipeUnit),
+        wastePct: hasOwnWaste(r) ? clampWastePct(r.wastePct) : null,
+        recipeCost: computeRow(r).recipeCost,
+      };
+    }),
+    settings,
+    totals: {
+      ingredients: c.ingredients,
+      total: c.total,
+      finalPrice: c.finalPrice,
+      unitCost: c.unitCost,
+      unitPrice: c.unitPrice,
+    },
+  };
+}
+
+function saveRevision(recipeName, source){
+  AppStore.putRevision(buildRevision(recipeName, source));
+  const all = AppStore.listRevisions(recipeName);
+  for (let i = 0; i < all.length - REVISION_LIMIT; i++) AppStore.deleteRevision(all[i].id);
+}
+
+function moveRevisions(fromName, toName){
+  for (const rev of AppStore.listRevisions(fromName)){
+    AppStore.putRevision({ ...rev, recipe: toName });
+  }
+}
+
+function deleteRevisions(recipeName){
+  for (const rev of AppStore.listRevisions(recipeName)) AppStore.deleteRevision(rev.id);
+}
+
+function formatDateTime(iso){
+  const d = new Date(iso);
+  return Number.isFinite(d.getTime()) ? d.toLocaleString(I18n.locale(), { dateStyle: "short", timeStyle: "short" }) : "";
+}
+
+// Row-by-row comparison of two revisions (or a revision and the current state)
+function diffRevisions(a, b){
+  const keyed = (rows) => {
+    const out = new Map();
+    for (const r of rows){
+      let key = importRowKey(r);
+      for (let i = 2; out.has(key); i++) key = importRowKey(r) + "#" + i;
+      out.set(key, r);
+    }
+    return out;
   };
+  const ra = keyed(a.rows), rb = keyed(b.rows);
+  const keys = [...ra.keys(), ...Array.from(rb.keys()).filter(k => !ra.has(k))];
+
+  const rows = keys.map(k => {
+    const x = ra.get(k), y = rb.get(k);
+    return {
+      name: (y || x).name,
+      qtyA: x ? formatQty(x.recipeAmount, x.recipeUnit) : "—",
+      qtyB: y ? formatQty(y.recipeAmount, y.recipeUnit) : "—",
+      costA: x ? x.recipeCost : 0,
+      costB: y ? y.recipeCost : 0,
+      status: !x ? "add" : (!y ? "del" : ((x.recipeCost !== y.recipeCost || x.recipeAmount !== y.recipeAmount || x.recipeUnit !== y.recipeUnit) ? "change" : "same")),
+    };
+  });
 
-  downloadJson("dessert_recipes_full_export.json", payload);
+  const settings = [];
+  for (const [key, label] of RECIPE_FIELD_LABELS){
+    if (RECIPE_ORGANIZE_FIELDS.includes(key)) continue;
+    const va = a.settings[key] ?? null, vb = b.settings[key] ?? null;
+    if (JSON.stringify(va) !== JSON.stringify(vb)) settings.push({ label, from: va, to: vb });
+  }
+  return { rows, settings };
 }
 
+function formatDelta(a, b){
+  const d = b - a;
+  if (!d) return "—";
+  const pct = a ? ` (${d > 0 ? "+" : ""}${formatNumber(d / a * 100, 1, 1)}%)` : "";
+  return `${d > 0 ? "+" : "−"}${money(Math.abs(d))}${pct}`;
+}
 
-async function importIngredientsDBFromObject(obj){
-  if (!obj || typeof obj !== "object") throw new Error("JSON inválido.");
+function renderHistoryPanel(){
+  const tbody = document.getElementById("historyTbody");
+  const count = document.getElementById("historyCount");
+  const selA = document.getElementById("historyA");
+  const selB = document.getElementById("historyB");
+  if (!tbody) return;
 
-  
-// Accept v3 full export (preferred)
-if (Array.isArray(obj.recipes)){
-  const meta = loadMeta();
+  const revs = AppStore.listRevisions(currentRecipe);
+  if (count) count.textContent = String(revs.length);
 
-  for (const rec of obj.recipes){
-    const recipeName = String(rec && rec.recipe || "").trim();
-    if (!recipeName) continue;
-
-    // Ensure + restore meta fields directly (IMPORTANT: do not overwrite later)
-    ensureMetaForRecipe(meta, recipeName);
-
-    const mp = Number(rec.marginPct);
-    const yq = Number(rec.yieldQty);
-
-    meta[recipeName].favorite = !!rec.favorite;
-    meta[recipeName].marginPct = Number.isFinite(mp) ? mp : meta[recipeName].marginPct;
-    meta[recipeName].yieldQty  = (Number.isFinite(yq) && yq > 0) ? yq : meta[recipeName].yieldQty;
-
-    // Restore rows
-    const rowsIn = Array.isArray(rec.rows) ? rec.rows : [];
-    const restored = rowsIn
-      .map(r => ({
-        name: String(r && r.ingredient || "").trim(),
-        cost: n(r && r.cost),
-        amount: n(r && r.amount),
-        recipeAmount: n(r && r.recipeAmount),
-      }))
-      .filter(r => r.name);
-
-    saveRowsForRecipe(recipeName, restored.length ? restored : defaultRows());
-
-    // Also update IndexedDB store if available (ingredient + recipeAmount)
-    if (DB){
-      const dbRows = restored.map(r => ({ name: r.name, recipeAmount: r.recipeAmount }));
-      await dbPutItems(DB, recipeName, dbRows);
-    }
+  if (!revs.length){
+    tbody.innerHTML = `<tr><td colspan="5" class="muted">${T("Aún no hay versiones. Presiona Guardar para crear la primera.")}</td></tr>`;
+  }else{
+    tbody.innerHTML = revs.slice().reverse().map(r => `
+      <tr>
+        <td>${escapeHtml(formatDateTime(r.createdAt))}</td>
+        <td class="muted">${escapeHtml(REVISION_SOURCES[r.source] ? T(REVISION_SOURCES[r.source]) : r.source)}</td>
+        <td>${money(r.totals.total)}</td>
+        <td>${moneyInt(r.totals.finalPrice)}</td>
+        <td><button class="iconBtnSmall" type="button" data-restore-rev="${escapeHtml(r.id)}" title="${T("Restaurar esta versión")}">↺</button></td>
+      </tr>
+    `).join("");
   }
 
-  // Single save at the end (prevents wiping margin/yield back to defaults)
-  saveMeta(meta);
+  if (!selA || !selB) return;
+  const prevA = selA.value, prevB = selB.value;
+  const options = `<option value="current">${T("Actual")}</option>` + revs.slice().reverse().map(r =>
+    `<option value="${escapeHtml(r.id)}">${escapeHtml(formatDateTime(r.createdAt))} · ${money(r.totals.total)}</option>`
+  ).join("");
+  selA.innerHTML = options;
+  selB.innerHTML = options;
+
+  const ids = new Set(["current", ...revs.map(r => r.id)]);
+  selA.value = ids.has(prevA) && prevA ? prevA : (revs.length ? revs[revs.length - 1].id : "current");
+  selB.value = ids.has(prevB) && prevB ? prevB : "current";
+  renderRevisionDiff();
+}
 
-  // Refresh UI
-  await refreshRecipesUI();
+function renderRevisionDiff(){
+  const out = document.getElementById("historyDiff");
+  const selA = document.getElementById("historyA");
+  const selB = document.getElementById("historyB");
+  if (!out || !selA || !selB) return;
+
+  const revs = AppStore.listRevisions(currentRecipe);
+  const pick = (id) => (id === "current") ? buildRevision(currentRecipe, "current") : revs.find(r => r.id === id);
+  const a = pick(selA.value), b = pick(selB.value);
+  if (!a || !b || selA.value === selB.value){
+    out.innerHTML = "";
+    return;
+  }
+
+  const d = diffRevisions(a, b);
+  const rowHTML = d.rows.map(r => `
+    <tr class="${r.status === "add" ? "diffAdd" : (r.status === "del" ? "diffDel" : "")}">
+      <td>${escapeHtml(r.name)}</td>
+      <td>${escapeHtml(r.qtyA)}</td>
+      <td>${escapeHtml(r.qtyB)}</td>
+      <td>${money(r.costA)}</td>
+      <td>${money(r.costB)}</td>
+      <td>${formatDelta(r.costA, r.costB)}</td>
+    </tr>
+  `).join("");
+  const totalHTML = [
+    ["Costo ingredientes", "ingredients", money],
+    ["Costo total", "total", money],
+    ["Precio final", "finalPrice", moneyInt],
+  ].map(([label, key, fmt]) => `
+    <tr class="historyTotal">
+      <td colspan="3">${T(label)}</td>
+      <td>${fmt(a.totals[key])}</td>
+      <td>${fmt(b.totals[key])}</td>
+      <td>${formatDelta(a.totals[key], b.totals[key])}</td>
+    </tr>
+  `).join("");
+  const settingsHTML = d.settings.length
+    ? `<ul class="diffList">${d.settings.map(x => `<li class="diffChg">${escapeHtml(T(x.label))}: ${escapeHtml(formatFieldValue(x.from))} → ${escapeHtml(formatFieldValue(x.to))}</li>`).join("")}</ul>`
+    : "";
+
+  out.innerHTML = `
+    <div class="tableWrap">
+      <table class="historyTable">
+        <thead><tr><th>${T("Ingrediente")}</th><th>${T("Cant. A")}</th><th>${T("Cant. B")}</th><th>${T("Costo A")}</th><th>${T("Costo B")}</th><th>${T("Diferencia")}</th></tr></thead>
+        <tbody>${rowHTML}${totalHTML}</tbody>
+      </table>
+    </div>
+    ${settingsHTML}
+  `;
+}
+
+// Rows + settings come back; linked ingredients keep today's catalog price
+function restoreRevision(id){
+  const rev = AppStore.listRevisions(currentRecipe).find(r => r.id === id);
+  if (!rev) return;
+  if (!confirm(T("¿Restaurar la versión del {date}? Los cambios actuales se pueden deshacer con Ctrl+Z.", { date: formatDateTime(rev.createdAt) }))) return;
+
+  recordUndo();
+  const rows = rev.rows.map(r => ({
+    name: r.name,
+    cost: n(r.cost),
+    amount: n(r.amount),
+    unit: normUnit(r.unit),
+    recipeAmount: n(r.recipeAmount),
+    recipeUnit: normUnit(r.recipeUnit),
+    wastePct: hasOwnWaste(r) ? clampWastePct(r.wastePct) : null,
+    ingId: null,
+    subRecipe: (typeof r.subRecipe === "string") ? r.subRecipe : null,
+  }));
+  rowsState = rows.length ? rows : defaultRows();
+  setRecipeSettings(currentRecipe, rev.settings);
+  saveRowsForRecipe(currentRecipe, rowsState);
   applyRecipeSettingsToUI();
-  if (rowsState) updateTotalAndPricing(rowsState);
-  if (currentView === "summary") await renderSummaryTable();
-  return;
+  renderTable();
+  renderHistoryPanel();
 }
 
-  // Backward-compat: accept v2 format {items:[{recipe,ingredient}], recipes:[{recipe,marginPct,yieldQty}]}
-  const items = Array.isArray(obj.items) ? obj.items : null;
-  if (!items) throw new Error("JSON inválido o versión no soportada.");
+/* =========================
+   Offline (service worker) + update prompt
+   ========================= */
+let updateRequested = false;
+
+function showUpdateBanner(worker){
+  const bar = document.getElementById("updateBanner");
+  const btn = document.getElementById("updateReloadBtn");
+  if (!bar || !btn) return;
+  bar.hidden = false;
+  btn.onclick = () => {
+    updateRequested = true;
+    flushPendingSave();
+    worker.postMessage({ type: "SKIP_WAITING" });
+  };
+}
 
-  // Build map recipe -> set(ingredient)
-  const map = new Map();
-  for (const it of items){
-    if (!it) continue;
-    const recipe = String(it.recipe || "").trim();
-    const ingredient = String(it.ingredient || "").trim();
-    if (!recipe || !ingredient) continue;
-    if (!map.has(recipe)) map.set(recipe, new Set());
-    map.get(recipe).add(ingredient);
-  }
+function registerServiceWorker(){
+  if (!("serviceWorker" in navigator)) return;
 
-  if (!map.size) throw new Error("No hay items válidos para importar.");
+  // The new worker took over after "Actualizar": reload into the new version
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!updateRequested) return;
+    updateRequested = false;
+    location.reload();
+  });
 
-  // Update meta + defaults
-  const meta = loadMeta();
-  for (const recipe of map.keys()) ensureMetaForRecipe(meta, recipe);
-  saveMeta(meta);
+  navigator.serviceWorker.register("./service-worker.js", { updateViaCache: "none" }).then((reg) => {
+    // A controller means an older version is running; otherwise this is the first install
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
 
-  // Restore recipe settings if present
-  if (Array.isArray(obj.recipes)){
-    for (const r of obj.recipes){
-      const rn = String(r && (r.recipe || r.name) || "").trim();
-      if (!rn) continue;
-      const mp = Number(r.marginPct);
-      const yq = Number(r.yieldQty);
-      setRecipeSettings(rn, {
-        marginPct: Number.isFinite(mp) ? mp : 30,
-        yieldQty: (Number.isFinite(yq) && yq > 0) ? yq : 1
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdateBanner(worker);
       });
-    }
-  }
-
-  // Write LocalStorage rows for each recipe (cost/amount unknown -> 0)
-  for (const [recipe, setIngs] of map.entries()){
-    const rows = Array.from(setIngs).sort((a,b)=>a.localeCompare(b)).map(ing => ({
-      name: ing,
-      cost: 0,
-      amount: 0,
-      recipeAmount: 0
-    }));
-    saveRowsForRecipe(recipe, rows.length ? rows : defaultRows());
-  }
+    });
+  }).catch((err) => {
+    console.warn("Service worker registration failed:", err);
+  });
+}
 
-  // If IndexedDB available, store items with RecipeAmmount=0
-  if (DB){
-    for (const [recipe, setIngs] of map.entries()){
-      const rows = Array.from(setIngs).map(ing => ({ name: ing, recipeAmount: 0 }));
-      await dbPutItems(DB, recipe, rows);
-    }
+document.addEventListener("DOMContentLoaded", async () => {
+  // Everything below reads through the in-memory store
+  try{
+    await AppStore.open();
+  }catch(err){
+    console.error("Storage init failed:", err);
+    alert(T("No se pudieron cargar los datos guardados."));
   }
+  currentRecipe = getCurrentRecipe();
 
-  // Refresh UI
-  await refreshRecipesUI();
-  applyRecipeSettingsToUI();
-  if (rowsState) updateTotalAndPricing(rowsState);
-  if (currentView === "summary") await renderSummaryTable();
-}
+  // Language + number format before anything renders (the markup is read in Spanish)
+  const bootSettings = loadSettings();
+  applyNumberFormat(bootSettings);
+  I18n.setLang(bootSettings.language);
+  I18n.translateDOM();
 
-document.addEventListener("DOMContentLoaded", async () => {
   // Drawer listeners FIRST
   const openBtn = document.getElementById("openDrawerBtn");
   const closeBtn = document.getElementById("closeDrawerBtn");
@@ -981,7 +5057,7 @@ if (exportDbBtn){
       await exportIngredientsDB();
     }catch(err){
       console.error(err);
-      alert("No se pudo exportar. Intenta nuevamente.");
+      alert(T("No se pudo exportar. Intenta nuevamente."));
     }
   });
 }
@@ -1000,16 +5076,57 @@ if (importDbBtn && importFileInput){
       const text = await file.text();
       const obj = JSON.parse(text);
       await importIngredientsDBFromObject(obj);
-      alert("Importación completada.");
     }catch(err){
       console.error(err);
-      alert("No se pudo importar: JSON inválido o incompatible.");
+      const detail = (err instanceof SyntaxError || !err || !err.message) ? T("JSON inválido o incompatible.") : err.message;
+      alert(T("No se pudo importar: {detail}", { detail }));
     }
   });
 }
 
 
 
+const openPriceReportBtn = document.getElementById("openPriceReportBtn");
+if (openPriceReportBtn){
+  openPriceReportBtn.addEventListener("click", async () => {
+    closeSettings();
+    await renderPriceReport();
+    setView("prices");
+  });
+}
+
+const priceReportPeriod = document.getElementById("priceReportPeriod");
+if (priceReportPeriod){
+  priceReportPeriod.value = String(priceReportDays);
+  priceReportPeriod.addEventListener("change", async () => {
+    priceReportDays = n(priceReportPeriod.value) || 90;
+    await renderPriceReport();
+  });
+}
+
+const openSettingsBtn = document.getElementById("openSettingsBtn");
+if (openSettingsBtn){
+  openSettingsBtn.addEventListener("click", () => {
+    closeSettings();
+    renderSettingsView();
+    setView("settings");
+  });
+}
+
+for (const [id] of SETTINGS_INPUTS){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("input", onGlobalSettingsChange);
+}
+for (const id of ["settingPricingMode", "settingTaxEnabled", "settingTaxPct", "settingRounding"]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener(el.tagName === "INPUT" && el.type !== "checkbox" ? "input" : "change", onGlobalSettingsChange);
+}
+for (const id of ["settingLanguage", "settingCurrency", "settingCurrencySymbol", "settingCurrencyDecimals", "settingThousandsSep"]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener(el.tagName === "INPUT" ? "input" : "change", onLocaleSettingsChange);
+}
+applyPricingLabels();
+
 // View buttons (Resumen / Editor)
 const viewSummaryBtn = document.getElementById("viewSummaryBtn");
 const viewEditorBtn  = document.getElementById("viewEditorBtn");
@@ -1021,8 +5138,330 @@ if (viewSummaryBtn) viewSummaryBtn.addEventListener("click", async () => {
 
 if (viewEditorBtn) viewEditorBtn.addEventListener("click", () => {
   setView("editor");
+  if (rowsState) renderTable();
+});
+
+const viewIngredientsBtn = document.getElementById("viewIngredientsBtn");
+if (viewIngredientsBtn) viewIngredientsBtn.addEventListener("click", async () => {
+  setView("ingredients");
+  await renderIngredientsView();
+});
+
+const viewSuppliersBtn = document.getElementById("viewSuppliersBtn");
+if (viewSuppliersBtn) viewSuppliersBtn.addEventListener("click", async () => {
+  await listAllRecipeNames();
+  setView("suppliers");
+  renderSuppliersView();
+});
+
+const viewOrdersBtn = document.getElementById("viewOrdersBtn");
+if (viewOrdersBtn) viewOrdersBtn.addEventListener("click", async () => {
+  await listAllRecipeNames(); // recipe pickers use knownRecipeNames
+  setView("orders");
+  renderOrdersView();
+  renderOrderForm();
+});
+
+const viewShoppingBtn = document.getElementById("viewShoppingBtn");
+if (viewShoppingBtn) viewShoppingBtn.addEventListener("click", async () => {
+  await listAllRecipeNames();
+  setView("shopping");
+  renderShoppingView();
+});
+
+const viewSalesBtn = document.getElementById("viewSalesBtn");
+if (viewSalesBtn) viewSalesBtn.addEventListener("click", async () => {
+  await listAllRecipeNames();
+  setView("sales");
+  renderSalesView();
+});
+
+// Sales controls
+const saleRecipeEl = document.getElementById("saleRecipe");
+if (saleRecipeEl) saleRecipeEl.addEventListener("change", fillSalePrice);
+const addSaleBtn = document.getElementById("addSaleBtn");
+if (addSaleBtn) addSaleBtn.addEventListener("click", submitSaleForm);
+
+const salesGranularityEl = document.getElementById("salesGranularity");
+if (salesGranularityEl){
+  salesGranularityEl.addEventListener("change", (e) => {
+    salesGranularity = e.target.value === "month" ? "month" : "week";
+    salesPeriod = null;
+    renderSalesView();
+  });
+}
+
+const salesPeriodEl = document.getElementById("salesPeriod");
+if (salesPeriodEl){
+  salesPeriodEl.addEventListener("change", (e) => {
+    salesPeriod = e.target.value;
+    renderSalesView();
+  });
+}
+
+const salesTbody = document.getElementById("salesTbody");
+if (salesTbody){
+  salesTbody.addEventListener("click", (e) => {
+    const btn = (e.target instanceof Element) ? e.target.closest("button[data-sale-remove]") : null;
+    if (btn) deleteSale(btn.getAttribute("data-sale-remove"));
+  });
+}
+
+// Shopping list controls
+const shoppingRecipesTbody = document.getElementById("shoppingRecipesTbody");
+if (shoppingRecipesTbody){
+  shoppingRecipesTbody.addEventListener("input", (e) => {
+    const rn = e.target.getAttribute("data-shop-recipe");
+    if (rn) setShoppingBatches(rn, e.target.value);
+  });
+}
+
+const shoppingTbody = document.getElementById("shoppingTbody");
+if (shoppingTbody){
+  shoppingTbody.addEventListener("change", (e) => {
+    const key = e.target.getAttribute("data-shop-check");
+    if (key) toggleShoppingItem(key, e.target.checked);
+  });
+}
+
+for (const [id, fn] of [
+  ["shoppingFromOrdersBtn", fillShoppingFromOrders],
+  ["shoppingClearBtn", clearShoppingList],
+  ["shoppingShareBtn", shareShoppingList],
+  ["shoppingCsvBtn", exportShoppingCSV],
+]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("click", fn);
+}
+
+// Orders controls
+const newOrderBtn = document.getElementById("newOrderBtn");
+if (newOrderBtn) newOrderBtn.addEventListener("click", () => openOrderForm(null));
+
+const ordersShowDoneEl = document.getElementById("ordersShowDone");
+if (ordersShowDoneEl){
+  ordersShowDoneEl.addEventListener("change", (e) => {
+    ordersShowDone = !!e.target.checked;
+    renderOrdersView();
+  });
+}
+
+for (const [id, field] of [["orderCustomer", "customer"], ["orderDue", "dueDate"], ["orderNotes", "notes"]]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("input", () => { if (orderDraft) orderDraft[field] = el.value; });
+}
+
+const orderLinesTbody = document.getElementById("orderLinesTbody");
+if (orderLinesTbody){
+  const onLineEdit = (e) => {
+    const t = e.target;
+    const i = Number(t.dataset.orderLine);
+    const k = t.dataset.k;
+    if (!orderDraft || !Number.isFinite(i) || !orderDraft.lines[i] || !k) return;
+    orderDraft.lines[i][k] = (k === "qty") ? t.value : String(t.value || "");
+    updateOrderFormTotals();
+  };
+  orderLinesTbody.addEventListener("input", onLineEdit);
+  orderLinesTbody.addEventListener("change", onLineEdit);
+  orderLinesTbody.addEventListener("click", (e) => {
+    const btn = (e.target instanceof Element) ? e.target.closest("button[data-order-del]") : null;
+    if (!btn || !orderDraft) return;
+    orderDraft.lines.splice(Number(btn.getAttribute("data-order-del")), 1);
+    if (!orderDraft.lines.length) orderDraft.lines.push({ recipe: "", qty: 1 });
+    renderOrderForm();
+  });
+}
+
+const addOrderLineBtn = document.getElementById("addOrderLineBtn");
+if (addOrderLineBtn) addOrderLineBtn.addEventListener("click", () => {
+  if (!orderDraft) return;
+  orderDraft.lines.push({ recipe: "", qty: 1 });
+  renderOrderForm();
+});
+
+const saveOrderBtn = document.getElementById("saveOrderBtn");
+if (saveOrderBtn) saveOrderBtn.addEventListener("click", saveOrderDraft);
+const cancelOrderBtn = document.getElementById("cancelOrderBtn");
+if (cancelOrderBtn) cancelOrderBtn.addEventListener("click", closeOrderForm);
+
+const ordersTbody = document.getElementById("ordersTbody");
+if (ordersTbody){
+  ordersTbody.addEventListener("click", (e) => {
+    const btn = (e.target instanceof Element) ? e.target.closest("button") : null;
+    if (!btn) return;
+    if (btn.hasAttribute("data-order-done")) toggleOrderDone(btn.getAttribute("data-order-done"));
+    if (btn.hasAttribute("data-order-edit")) openOrderForm(btn.getAttribute("data-order-edit"));
+    if (btn.hasAttribute("data-order-remove")) deleteOrder(btn.getAttribute("data-order-remove"));
+  });
+}
+
+// Ingredients catalog controls
+const ingSearchEl = document.getElementById("ingredientSearch");
+if (ingSearchEl){
+  ingSearchEl.addEventListener("input", async (e) => {
+    ingredientSearchQuery = String(e.target.value || "");
+    await renderIngredientsView();
+  });
+}
+
+const newIngUnitEl = document.getElementById("newIngUnit");
+if (newIngUnitEl) newIngUnitEl.innerHTML = unitOptionsHTML(DEFAULT_UNIT);
+
+const addIngredientBtn = document.getElementById("addIngredientBtn");
+if (addIngredientBtn) addIngredientBtn.addEventListener("click", async () => {
+  const nameEl = document.getElementById("newIngName");
+  const costEl = document.getElementById("newIngCost");
+  const amountEl = document.getElementById("newIngAmount");
+  const name = String(nameEl ? nameEl.value : "").trim();
+  if (!name) return;
+  const unitEl = document.getElementById("newIngUnit");
+  if (!addCatalogIngredient(name, costEl ? costEl.value : 0, amountEl ? amountEl.value : 0, unitEl ? unitEl.value : DEFAULT_UNIT)) return;
+  if (nameEl) nameEl.value = "";
+  if (costEl) costEl.value = "";
+  if (amountEl) amountEl.value = "";
+  await renderIngredientsView();
+});
+
+const ingTbody = document.getElementById("ingredientsTbody");
+if (ingTbody){
+  ingTbody.addEventListener("input", (e) => {
+    const t = e.target;
+    if (!(t instanceof HTMLInputElement || t instanceof HTMLSelectElement)) return;
+    const id = t.dataset.ing;
+    const k = t.dataset.k;
+    const cat = loadCatalog();
+    if (!id || !k || !cat[id]) return;
+
+    if (k === "name"){
+      const name = t.value.trim();
+      const other = findCatalogIdByName(cat, name);
+      const invalid = !name || (other && other !== id);
+      t.classList.toggle("invalid", !!invalid);
+      if (invalid) return;
+      cat[id].name = name;
+    }
+    if (k === "cost") cat[id].cost = n(t.value);
+    if (k === "amount") cat[id].amount = n(t.value);
+    if (k === "unit") setCatalogUnit(cat[id], t.value);
+    if (k === "stock"){
+      if (String(t.value).trim() === "") delete cat[id].stock;
+      else cat[id].stock = n(t.value);
+    }
+    if (k === "minStock") cat[id].minStock = n(t.value);
+    if (k === "wastePct"){
+      if (String(t.value).trim() === "") delete cat[id].wastePct;
+      else cat[id].wastePct = clampWastePct(t.value);
+    }
+
+    saveCatalog(cat);
+    const out = document.querySelector(`[data-ing-out="${CSS.escape(id)}"]`);
+    if (out) out.textContent = unitCostLabel(catalogUnitCost(cat[id]), normUnit(cat[id].unit));
+    if (k === "unit"){
+      const row = t.closest("tr");
+      const unitEl = row && row.querySelector("[data-ing-unit]");
+      const stockEl = row && row.querySelector('[data-k="stock"]');
+      const minEl = row && row.querySelector('[data-k="minStock"]');
+      if (unitEl) unitEl.textContent = unitLabel(cat[id].unit);
+      if (stockEl) stockEl.value = isStockTracked(cat[id]) ? numInput(cat[id].stock) : "";
+      if (minEl) minEl.value = n(cat[id].minStock) ? numInput(cat[id].minStock) : "";
+    }
+    const row = t.closest("tr");
+    if (row) row.classList.toggle("lowStock", isLowStock(cat[id]));
+    renderInventorySummary();
+    onCatalogChanged();
+  });
+
+  ingTbody.addEventListener("click", async (e) => {
+    const buy = (e.target instanceof Element) ? e.target.closest("button[data-ing-buy]") : null;
+    if (buy){
+      openPurchaseDialog(buy.getAttribute("data-ing-buy"));
+      return;
+    }
+    const nutritionBtn = (e.target instanceof Element) ? e.target.closest("button[data-ing-nutrition]") : null;
+    if (nutritionBtn){
+      openNutritionDialog(nutritionBtn.getAttribute("data-ing-nutrition"));
+      return;
+    }
+    const offersBtn = (e.target instanceof Element) ? e.target.closest("button[data-ing-offers]") : null;
+    if (offersBtn){
+      openOffersDialog(offersBtn.getAttribute("data-ing-offers"));
+      return;
+    }
+    const btn = (e.target instanceof Element) ? e.target.closest("button[data-ing-del]") : null;
+    if (!btn) return;
+    await deleteCatalogIngredient(btn.getAttribute("data-ing-del"));
+  });
+}
+
+for (const [id, fn] of [
+  ["purchaseConfirmBtn", confirmPurchase],
+  ["purchaseCancelBtn", closePurchaseDialog],
+]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("click", fn);
+}
+const purchaseDialogEl = document.getElementById("purchaseDialog");
+if (purchaseDialogEl) purchaseDialogEl.addEventListener("cancel", () => { purchaseIngId = null; });
+
+// Nutrition data + printable label
+for (const [id, fn] of [
+  ["nutritionSaveBtn", confirmNutrition],
+  ["nutritionCancelBtn", closeNutritionDialog],
+  ["nutritionLabelBtn", openLabelDialog],
+  ["labelCloseBtn", closeLabelDialog],
+  ["labelPrintBtn", printLabel],
+]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("click", fn);
+}
+const nutritionDialogEl = document.getElementById("nutritionDialog");
+if (nutritionDialogEl) nutritionDialogEl.addEventListener("cancel", () => { nutritionIngId = null; });
+
+// Supplier offers dialog + comparison view
+const offersTbody = document.getElementById("offersTbody");
+if (offersTbody){
+  offersTbody.addEventListener("input", (e) => {
+    const t = e.target;
+    const ing = offersIngId ? loadCatalog()[offersIngId] : null;
+    const o = ing && hasOffers(ing) ? ing.offers[Number(t.dataset.offer)] : null;
+    const k = t.dataset.k;
+    if (!o || !k) return;
+    if (k === "supplier") o.supplier = String(t.value || "").trim();
+    if (k === "cost") o.cost = n(t.value);
+    if (k === "amount") o.amount = n(t.value);
+    if (k === "unit") o.unit = normUnit(t.value);
+    if (k === "date") o.date = String(t.value || "");
+    onOffersChanged(ing);
+    updateOffersOutputs();
+  });
+  offersTbody.addEventListener("click", (e) => {
+    const btn = (e.target instanceof Element) ? e.target.closest("button[data-offer-del]") : null;
+    const ing = offersIngId ? loadCatalog()[offersIngId] : null;
+    if (!btn || !hasOffers(ing)) return;
+    ing.offers.splice(Number(btn.getAttribute("data-offer-del")), 1);
+    onOffersChanged(ing);
+    renderOffersTable();
+  });
+}
+
+for (const [id, fn] of [
+  ["addOfferBtn", addOffer],
+  ["offersCloseBtn", closeOffersDialog],
+]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("click", fn);
+}
+const offersDialogEl = document.getElementById("offersDialog");
+if (offersDialogEl) offersDialogEl.addEventListener("cancel", (e) => {
+  e.preventDefault();
+  closeOffersDialog();
 });
 
+for (const id of ["offerRule", "preferredSupplier"]){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("change", onOfferRuleChange);
+}
+
 // Summary controls
 const sumSearchEl = document.getElementById("summarySearch");
 if (sumSearchEl){
@@ -1040,8 +5479,70 @@ if (sumFavEl){
   });
 }
 
+const sumTagEl = document.getElementById("summaryTagFilter");
+if (sumTagEl){
+  sumTagEl.addEventListener("change", async (e) => {
+    summaryTagFilter = String(e.target.value || "");
+    await renderSummaryTable();
+  });
+}
+
+const sumHeadEl = document.getElementById("summaryThead");
+if (sumHeadEl){
+  sumHeadEl.addEventListener("click", async (e) => {
+    const th = e.target.closest("[data-sort]");
+    if (!th) return;
+    const key = th.getAttribute("data-sort");
+    // Same column flips the order; a new one starts ascending (names) or highest first (numbers)
+    summarySort = (summarySort.key === key) ? { key, dir: -summarySort.dir } : { key, dir: key === "name" ? 1 : -1 };
+    await renderSummaryTable();
+  });
+}
+
+const sumColumnsEl = document.getElementById("summaryColumnsList");
+if (sumColumnsEl){
+  renderSummaryColumnPicker();
+  sumColumnsEl.addEventListener("change", async (e) => {
+    const key = e.target.getAttribute("data-summary-col");
+    if (!key) return;
+    toggleSummaryColumn(key, e.target.checked);
+    if (!visibleSummaryColumns().some(col => col.key === summarySort.key)) summarySort = { key: "name", dir: 1 };
+    await renderSummaryTable();
+  });
+}
+
+const sumCsvBtn = document.getElementById("summaryCsvBtn");
+if (sumCsvBtn){
+  sumCsvBtn.addEventListener("click", async () => {
+    try{
+      await exportSummaryCSV();
+    }catch(err){
+      console.error(err);
+      alert(T("No se pudo generar el CSV. Intenta nuevamente."));
+    }
+  });
+}
+
+const sumFormatsEl = document.getElementById("summaryShowFormats");
+if (sumFormatsEl){
+  sumFormatsEl.addEventListener("change", async (e) => {
+    summaryShowFormats = !!e.target.checked;
+    await renderSummaryTable();
+  });
+}
+
+const sumGroupEl = document.getElementById("summaryGroupByCategory");
+if (sumGroupEl){
+  sumGroupEl.addEventListener("change", async (e) => {
+    summaryGroupByCategory = !!e.target.checked;
+    await renderSummaryTable();
+  });
+}
+
 
   maybeCleanLegacyTemplate();
+  purgeOldTrash();
+  renderIngredientDatalist();
 
   // Recipe settings (margin + yield)
 const marginEl = document.getElementById("marginPct");
@@ -1050,7 +5551,61 @@ const yieldEl = document.getElementById("yieldQty");
 // On load / after DB init
 applyRecipeSettingsToUI();
 
-function onSettingsChange(){
+// Target price: a what-if kept per recipe, outside undo and revisions
+const targetPriceEl = document.getElementById("targetUnitPrice");
+if (targetPriceEl) targetPriceEl.addEventListener("input", () => {
+  setRecipeSettings(currentRecipe, { targetUnitPrice: optNum(targetPriceEl.value) });
+  if (rowsState) updateTotalAndPricing(rowsState);
+});
+const applyTargetBtn = document.getElementById("applyTargetBtn");
+if (applyTargetBtn) applyTargetBtn.addEventListener("click", () => {
+  const pct = targetMarginToApply();
+  if (pct === null || !marginEl) return;
+  marginEl.value = numInput(pct);
+  onSettingsChange({ target: marginEl });
+  endUndoGroup();
+});
+
+// Sale formats
+const addFormatBtn = document.getElementById("addFormatBtn");
+if (addFormatBtn) addFormatBtn.addEventListener("click", addSaleFormat);
+const formatsTbody = document.getElementById("formatsTbody");
+if (formatsTbody){
+  formatsTbody.addEventListener("input", (e) => {
+    const t = e.target;
+    if (!(t instanceof HTMLInputElement)) return;
+    const formats = currentSaleFormats();
+    const f = formats[Number(t.dataset.format)];
+    const k = t.dataset.k;
+    if (!f || !k) return;
+    if (k === "name") f.name = t.value.trim();
+    if (k === "units") f.units = Math.max(1, n(t.value));
+    if (k === "packagingPerUnit" || k === "marginPct") f[k] = optNum(t.value);
+    saveSaleFormats(formats);
+    if (rowsState) updateTotalAndPricing(rowsState);
+  });
+  formatsTbody.addEventListener("click", (e) => {
+    const btn = (e.target instanceof Element) ? e.target.closest("button[data-format-del]") : null;
+    if (!btn) return;
+    const formats = currentSaleFormats();
+    formats.splice(Number(btn.getAttribute("data-format-del")), 1);
+    saveSaleFormats(formats);
+    renderSaleFormatsTable();
+    if (rowsState) updateTotalAndPricing(rowsState);
+  });
+}
+
+const produceBatchBtn = document.getElementById("produceBatchBtn");
+if (produceBatchBtn) produceBatchBtn.addEventListener("click", () => produceBatch(currentRecipe));
+
+function onSettingsChange(e){
+  // The UI already holds the new value; the stored settings are the "before"
+  const id = e && e.target ? e.target.id : "";
+  const stored = getRecipeSettings(currentRecipe);
+  const before = {};
+  for (const k of Object.keys(readRecipeSettingsFromUI())) before[k] = stored[k];
+  recordUndo(id ? "setting:" + id : null, before);
+
   persistCurrentRecipeSettingsFromUI();
   if (rowsState) updateTotalAndPricing(rowsState);
   if (currentView === "summary") { renderSummaryTable(); }
@@ -1058,6 +5613,13 @@ function onSettingsChange(){
 
 if (marginEl) marginEl.addEventListener("input", onSettingsChange);
 if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
+for (const [id] of OVERHEAD_INPUTS){
+  const el = document.getElementById(id);
+  if (el) el.addEventListener("input", onSettingsChange);
+}
+for (const el of [marginEl, yieldEl, ...OVERHEAD_INPUTS.map(([id]) => document.getElementById(id))]){
+  if (el) el.addEventListener("change", endUndoGroup);
+}
 
 // Search + favorites filter
   const searchEl = document.getElementById("recipeSearch");
@@ -1076,10 +5638,34 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
     });
   }
 
+  const tagFilterEl = document.getElementById("tagFilter");
+  if (tagFilterEl){
+    tagFilterEl.addEventListener("change", async (e) => {
+      tagFilter = String(e.target.value || "");
+      await refreshRecipesUI();
+    });
+  }
+
   // Buttons
   const addRowBtn = document.getElementById("addRowBtn");
   if (addRowBtn) addRowBtn.addEventListener("click", () => {
-    rowsState.push({ name:"", cost:0, amount:0, recipeAmount:0 });
+    recordUndo();
+    rowsState.push(newRow());
+    saveRowsForRecipe(currentRecipe, rowsState);
+
+    const tbody = document.getElementById("tbody");
+    const idx = rowsState.length - 1;
+    if (tbody) tbody.insertAdjacentHTML("beforeend", buildRowHTML(rowsState[idx], idx));
+
+    updateTotalAndPricing(rowsState);
+    scheduleSave();
+  });
+
+  const addSubRecipeBtn = document.getElementById("addSubRecipeBtn");
+  if (addSubRecipeBtn) addSubRecipeBtn.addEventListener("click", async () => {
+    await listAllRecipeNames(); // fresh options for the picker
+    recordUndo();
+    rowsState.push(newSubRecipeRow());
     saveRowsForRecipe(currentRecipe, rowsState);
 
     const tbody = document.getElementById("tbody");
@@ -1092,11 +5678,12 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
 
   const resetBtn = document.getElementById("resetBtn");
   if (resetBtn) resetBtn.addEventListener("click", () => {
+    recordUndo();
     rowsState = defaultRows();
     saveRowsForRecipe(currentRecipe, rowsState);
     renderTable();
     scheduleSave();
-    updateIngredientCacheFromRows(rowsState);
+    updateCatalogFromRows(rowsState);
   });
 
   const createBtn = document.getElementById("createRecipeBtn");
@@ -1104,26 +5691,53 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
     const input = document.getElementById("newRecipeName");
     const name = String(input ? input.value : "").trim();
     if (!name) return;
-    await createRecipeClean(name);
+    await createOrOpenRecipe(name);
     if (input) input.value = "";
   });
 
   const saveBtn = document.getElementById("saveRecipeBtn");
   if (saveBtn) saveBtn.addEventListener("click", async () => {
-    if (!DB) {
-      alert("IndexedDB no disponible en este navegador.");
-      return;
-    }
     try{
-      updateIngredientCacheFromRows(rowsState);
-      await dbPutItems(DB, currentRecipe, rowsState);
+      persistCurrentRecipeSettingsFromUI();
+      flushPendingSave();
+      updateCatalogFromRows(rowsState);
+      saveRowsForRecipe(currentRecipe, rowsState);
+      saveRevision(currentRecipe, "save");
+      await AppStore.flush();
       await refreshRecipesUI();
+      renderHistoryPanel();
     }catch(err){
       console.error("Save recipe failed:", err);
-      alert("No se pudo guardar la receta. Intenta nuevamente.");
+      alert(T("No se pudo guardar la receta. Intenta nuevamente."));
     }
   });
 
+  // Trash (Papelera)
+  const trashListEl = document.getElementById("trashList");
+  if (trashListEl){
+    trashListEl.addEventListener("click", async (e) => {
+      const btn = (e.target instanceof Element) ? e.target.closest("button") : null;
+      if (!btn) return;
+      const restoreId = btn.getAttribute("data-restore");
+      const purgeId = btn.getAttribute("data-purge");
+      try{
+        if (restoreId) await restoreRecipeFromTrash(restoreId);
+        if (purgeId) deleteTrashEntry(purgeId);
+      }catch(err){
+        console.error("Trash action failed:", err);
+        alert(T("No se pudo completar la acción. Intenta nuevamente."));
+      }
+    });
+  }
+  const legacyBackupBtn = document.getElementById("downloadLegacyBackupBtn");
+  if (legacyBackupBtn) legacyBackupBtn.addEventListener("click", () => {
+    const backup = AppStore.getLegacyBackup();
+    if (backup) downloadJson("dessert_legacy_backup.json", backup);
+  });
+
+  const emptyTrashBtn = document.getElementById("emptyTrashBtn");
+  if (emptyTrashBtn) emptyTrashBtn.addEventListener("click", emptyTrash);
+
   // Favorite toggle (current recipe)
   const toggleFavBtn = document.getElementById("toggleFavoriteBtn");
   if (toggleFavBtn){
@@ -1137,27 +5751,82 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
     });
   }
 
+  // Category + tags (current recipe); saved when the field is left
+  for (const [id, field] of [["recipeCategory", "category"], ["recipeTags", "tags"]]){
+    const el = document.getElementById(id);
+    if (!el) continue;
+    el.addEventListener("change", async () => {
+      setRecipeSettings(currentRecipe, { [field]: el.value });
+      syncCurrentRecipeMetaUI();
+      await refreshRecipesUI();
+      if (currentView === "summary") await renderSummaryTable();
+    });
+  }
+
   // Table events
   const tbody = document.getElementById("tbody");
   if (tbody){
     tbody.addEventListener("input", (e) => {
       const t = e.target;
-      if (!(t instanceof HTMLInputElement)) return;
+      if (!(t instanceof HTMLInputElement || t instanceof HTMLSelectElement)) return;
 
       const k = t.dataset.k;
       const i = Number(t.dataset.i);
       if (!k || !Number.isFinite(i) || !rowsState[i]) return;
 
-      if (k === "name") rowsState[i].name = t.value;
-      if (k === "cost") rowsState[i].cost = n(t.value);
-      if (k === "amount") rowsState[i].amount = n(t.value);
-      if (k === "recipeAmount") rowsState[i].recipeAmount = n(t.value);
+      const r = rowsState[i];
+      if (k === "subRecipe"){
+        if (t.value && createsCycle(currentRecipe, t.value)){
+          alert(T("No se puede usar esa receta: terminaría incluyéndose a sí misma."));
+          t.value = r.subRecipe || "";
+          return;
+        }
+        recordUndo(`cell:${i}:${k}`);
+        r.subRecipe = t.value;
+        r.name = t.value;
+      }
+      else recordUndo(`cell:${i}:${k}`);
+
+      if (k === "name"){
+        r.name = t.value;
+        relinkRowByName(r);
+        syncRowPurchaseInputs(i);
+      }
+      if (k === "cost") r.cost = n(t.value);
+      if (k === "amount") r.amount = n(t.value);
+      if (k === "unit") r.unit = normUnit(t.value);
+      if (k === "recipeAmount") r.recipeAmount = n(t.value);
+      if (k === "recipeUnit") r.recipeUnit = normUnit(t.value);
+      if (k === "wastePct"){
+        if (String(t.value).trim() === "") delete r.wastePct;
+        else r.wastePct = clampWastePct(t.value);
+      }
+
+      // Price edits on a linked row go straight to the shared catalog
+      if ((k === "cost" || k === "amount" || k === "unit") && catalogEntryForRow(r)){
+        const cat = loadCatalog();
+        cat[r.ingId].cost = r.cost;
+        cat[r.ingId].amount = r.amount;
+        setCatalogUnit(cat[r.ingId], r.unit);
+        saveCatalog(cat);
+      }
 
       updateComputedForIndex(rowsState, i);
       updateTotalAndPricing(rowsState);
 
       scheduleSave();
-      updateIngredientCacheFromRows(rowsState);
+    });
+
+    // New catalog entries are only created once a cell is committed (blur),
+    // so half-typed names don't end up in the catalog.
+    tbody.addEventListener("change", (e) => {
+      const t = e.target;
+      if (!(t instanceof HTMLInputElement || t instanceof HTMLSelectElement) || !t.dataset.k) return;
+      endUndoGroup();
+      updateCatalogFromRows(rowsState);
+      const i = Number(t.dataset.i);
+      if (Number.isFinite(i)) syncRowPurchaseInputs(i);
+      scheduleSave();
     });
 
     tbody.addEventListener("click", (e) => {
@@ -1172,13 +5841,14 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
         const to = idx - 1;
         if (to < 0 || to >= rowsState.length) return;
 
+        recordUndo();
         const [moved] = rowsState.splice(idx, 1);
         rowsState.splice(to, 0, moved);
 
         saveRowsForRecipe(currentRecipe, rowsState);
         renderTable();
         scheduleSave();
-        updateIngredientCacheFromRows(rowsState);
+        updateCatalogFromRows(rowsState);
         return;
       }
 
@@ -1190,13 +5860,14 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
         const to = idx + 1;
         if (to < 0 || to >= rowsState.length) return;
 
+        recordUndo();
         const [moved] = rowsState.splice(idx, 1);
         rowsState.splice(to, 0, moved);
 
         saveRowsForRecipe(currentRecipe, rowsState);
         renderTable();
         scheduleSave();
-        updateIngredientCacheFromRows(rowsState);
+        updateCatalogFromRows(rowsState);
         return;
       }
 
@@ -1205,8 +5876,9 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
       if (del === null) return;
 
       const idx = Number(del);
-      if (!Number.isFinite(idx)) return;
+      if (!Number.isFinite(idx) || !rowsState[idx]) return;
 
+      recordUndo();
       rowsState.splice(idx, 1);
 
       const tr = document.querySelector(`#tbody tr[data-row="${idx}"]`);
@@ -1217,7 +5889,7 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
         saveRowsForRecipe(currentRecipe, rowsState);
         renderTable();
         scheduleSave();
-        updateIngredientCacheFromRows(rowsState);
+        updateCatalogFromRows(rowsState);
         return;
       }
 
@@ -1227,13 +5899,43 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
       scheduleSave();
     });  }
 
-  // Open DB (non-blocking)
-  try{
-    DB = await openDB();
-  }catch(err){
-    console.warn("IndexedDB not available:", err);
-    DB = null;
+  // Undo / redo
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  if (undoBtn) undoBtn.addEventListener("click", undoEdit);
+  if (redoBtn) redoBtn.addEventListener("click", redoEdit);
+  updateUndoButtons();
+
+  // Revision history
+  const historyTbody = document.getElementById("historyTbody");
+  if (historyTbody){
+    historyTbody.addEventListener("click", (e) => {
+      const btn = (e.target instanceof Element) ? e.target.closest("[data-restore-rev]") : null;
+      if (btn) restoreRevision(btn.getAttribute("data-restore-rev"));
+    });
+  }
+  for (const id of ["historyA", "historyB"]){
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", renderRevisionDiff);
   }
+  const historyPanel = document.getElementById("historyPanel");
+  if (historyPanel) historyPanel.addEventListener("toggle", () => {
+    if (historyPanel.open) renderHistoryPanel(); // "Actual" follows unsaved edits
+  });
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || currentView !== "editor") return;
+    const key = String(e.key || "").toLowerCase();
+    if (key !== "z" && key !== "y") return;
+    // Only editor fields; other text inputs keep the browser's own undo
+    const t = e.target;
+    if (t instanceof Element && t.matches("input, select, textarea") && !t.closest("#tbody, .pricing")) return;
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) redoEdit();
+    else undoEdit();
+  });
+
+  registerServiceWorker();
 
   // Load initial recipe
   currentRecipe = getCurrentRecipe();
@@ -1249,6 +5951,7 @@ if (yieldEl) yieldEl.addEventListener("input", onSettingsChange);
   setRecipeTitle();
   applyRecipeSettingsToUI();
   renderTable();
+  renderHistoryPanel();
 
   await refreshRecipesUI();
   syncCurrentRecipeMetaUI();
@@ -0,0 +1,548 @@
+/**
+ * Dessert Cost Calculator — translations
+ * - Spanish is the source language: app.js and index.html are written in Spanish
+ *   and each string is looked up in the table of the chosen language
+ *   (missing entry = the Spanish text, so nothing ever shows blank)
+ * - "{name}" placeholders are filled from the params object
+ * - The static markup is read once (text, placeholder, title, aria-label) and
+ *   re-translated from that snapshot on every language change
+ */
+const I18n = (() => {
+  const LANGS = { es: "Español", en: "English" };
+  const LOCALES = { es: "es-CL", en: "en-US" };
+
+  const TABLES = {
+    es: {},
+    en: {
+      "Margen Ganancia (%)": "Profit margin (%)",
+      "Recargo sobre costo (%)": "Markup on cost (%)",
+      "terminado en 990": "ending in 990",
+      "entero": "whole units",
+      "redondeado hacia arriba a {step}": "rounded up to {step}",
+      "redondeado al más cercano a {step}": "rounded to the nearest {step}",
+      "unidad": "unit",
+      "docena": "dozen",
+      "cucharada": "tbsp",
+      "cucharadita": "tsp",
+      "taza": "cup",
+      "Favorita": "Favorite",
+      "Categoría": "Category",
+      "Etiquetas": "Tags",
+      "Margen %": "Margin %",
+      "Rendimiento": "Yield",
+      "Mano de obra (min)": "Labor (min)",
+      "Mano de obra ($/hora)": "Labor ($/hour)",
+      "Horno (min)": "Oven (min)",
+      "Horno ($/hora)": "Oven ($/hour)",
+      "Empaque ($/unidad)": "Packaging ($/unit)",
+      "Ciclo": "Cycle",
+      "Sin receta": "No recipe",
+      "Unidades": "Units",
+      "La sub-receta termina incluyéndose a sí misma": "The sub-recipe ends up including itself",
+      "No existe la receta “{name}”": "Recipe “{name}” does not exist",
+      "No se puede convertir {from} a {to}": "Can't convert {from} to {to}",
+      "Elegir receta…": "Choose recipe…",
+      "Sub-receta": "Sub-recipe",
+      "Subir": "Move up",
+      "Bajar": "Move down",
+      "Eliminar": "Delete",
+      "ej. Harina": "e.g., Flour",
+      "Vinculado al catálogo de ingredientes": "Linked to the ingredient catalog",
+      ", IVA {pct}% incluido": ", {pct}% VAT included",
+      "Se aplica sobre el costo total (ingredientes + indirectos). Precio final {rounding}.": "Applied to the total cost (ingredients + overhead). Final price {rounding}.",
+      "IVA ({pct}%)": "VAT ({pct}%)",
+      "No hay recetas con esos filtros.": "No recipes match these filters.",
+      "Mover a la papelera": "Move to trash",
+      "No se pudo eliminar la receta. Intenta nuevamente.": "Couldn't delete the recipe. Please try again.",
+      "Renombrar": "Rename",
+      "Nuevo nombre para la receta:": "New name for the recipe:",
+      "No se pudo renombrar la receta. Intenta nuevamente.": "Couldn't rename the recipe. Please try again.",
+      "Duplicar receta": "Duplicate recipe",
+      "Nombre de la copia:": "Name of the copy:",
+      "No se pudo duplicar la receta. Intenta nuevamente.": "Couldn't duplicate the recipe. Please try again.",
+      "Todas las etiquetas": "All tags",
+      "Ya existe una receta llamada “{name}”. ¿Restaurar como “{copy}”?": "A recipe named “{name}” already exists. Restore it as “{copy}”?",
+      "¿Eliminar “{name}” definitivamente? No se podrá recuperar.": "Delete “{name}” permanently? It can't be recovered.",
+      "¿Vaciar la papelera? Se eliminarán {count} receta(s) definitivamente.": "Empty the trash? {count} recipe(s) will be deleted permanently.",
+      "La papelera está vacía.": "The trash is empty.",
+      "Eliminada el {date}": "Deleted on {date}",
+      "Restaurar": "Restore",
+      "Eliminar definitivamente": "Delete permanently",
+      "{name} (copia)": "{name} (copy)",
+      "{name} (copia {i})": "{name} (copy {i})",
+      "Ya existe una receta llamada “{name}”. Elige otro nombre.": "A recipe named “{name}” already exists. Choose another name.",
+      "La receta “{name}” ya existe.\n\nAceptar: reemplazarla por una receta vacía (se perderán sus ingredientes).\nCancelar: abrir la receta existente.": "Recipe “{name}” already exists.\n\nOK: replace it with an empty recipe (its ingredients will be lost).\nCancel: open the existing recipe.",
+      "Quitar de favoritas": "Remove from favorites",
+      "Marcar como favorita": "Mark as favorite",
+      "Ingredientes": "Ingredients",
+      "Indirectos": "Overhead",
+      "Costo total": "Total cost",
+      "Precio final": "Final price",
+      "Costo unitario": "Unit cost",
+      "Precio unitario": "Unit price",
+      "Ganancia por lote": "Profit per batch",
+      "Ganancia por unidad": "Profit per unit",
+      "Ordenar por {col}": "Sort by {col}",
+      "Nombre receta": "Recipe name",
+      "Sin categoría": "No category",
+      "Promedio ({count})": "Average ({count})",
+      "{count} ingrediente(s) con unidades o sub-recetas inválidas": "{count} ingredient(s) with invalid units or sub-recipes",
+      "Usada en: {list}": "Used in: {list}",
+      "Base de: {list}": "Base of: {list}",
+      "Receta": "Recipe",
+      "Ejemplo: {money}": "Example: {money}",
+      "Registrar compra": "Record purchase",
+      "No hay ingredientes con esos filtros.": "No ingredients match these filters.",
+      "Ese ingrediente ya existe en el catálogo.": "That ingredient is already in the catalog.",
+      "“{name}” se usa en {count} receta(s). ¿Eliminarlo del catálogo? Las recetas conservarán el último precio.": "“{name}” is used in {count} recipe(s). Remove it from the catalog? The recipes will keep the last price.",
+      "¿Eliminar “{name}” del catálogo?": "Remove “{name}” from the catalog?",
+      "Aún no hay ingredientes con precio en el catálogo.": "There are no priced ingredients in the catalog yet.",
+      "No hay recetas con costo.": "No recipes with a cost.",
+      "Guardado {date}": "Saved {date}",
+      "Todas las recetas guardadas mantienen su margen.": "All saved recipes keep their margin.",
+      "Editar pedido": "Edit order",
+      "Nuevo pedido": "New order",
+      "— Receta —": "— Recipe —",
+      "{name} (no existe)": "{name} (doesn't exist)",
+      "Quitar": "Remove",
+      "La receta no existe": "The recipe doesn't exist",
+      "{batches} lote(s) · {cost} → {price}": "{batches} batch(es) · {cost} → {price}",
+      "Costo {cost} · Precio {price} · Ganancia {profit}": "Cost {cost} · Price {price} · Profit {profit}",
+      "Escribe el nombre del cliente.": "Enter the customer's name.",
+      "Elige la fecha de entrega.": "Choose the due date.",
+      "Agrega al menos una receta con cantidad.": "Add at least one recipe with a quantity.",
+      "¿Eliminar el pedido de “{customer}” ({date})?": "Delete the order for “{customer}” ({date})?",
+      "Atrasado": "Late",
+      "Alguna receta ya no existe": "A recipe no longer exists",
+      "Marcar como pendiente": "Mark as pending",
+      "Marcar como entregado": "Mark as delivered",
+      "Editar": "Edit",
+      "No hay pedidos pendientes.": "No pending orders.",
+      "Aún no hay pedidos.": "No orders yet.",
+      "{count} a producir, {yield} u/lote": "{count} to make, {yield} u/batch",
+      "Sin pedidos pendientes.": "No pending orders.",
+      "“{name}” se incluye a sí misma (ciclo)": "“{name}” includes itself (cycle)",
+      "{recipe}: la sub-receta “{name}” no está en unidades": "{recipe}: sub-recipe “{name}” is not in units",
+      "{recipe}: no se puede convertir {from} a {to} ({name})": "{recipe}: can't convert {from} to {to} ({name})",
+      "{name}: {packs} × {size} (se usan {need}) — {spend}": "{name}: {packs} × {size} ({need} used) — {spend}",
+      "Lista de compras ({date})": "Shopping list ({date})",
+      "Total estimado: {total}": "Estimated total: {total}",
+      "No hay recetas.": "No recipes.",
+      "Sin precio": "No price",
+      "Indica cuántos lotes harás de cada receta.": "Enter how many batches of each recipe you'll make.",
+      "¿Vaciar la lista de compras?": "Clear the shopping list?",
+      "La lista de compras está vacía.": "The shopping list is empty.",
+      "Lista de compras": "Shopping list",
+      "Lista copiada. Pégala en WhatsApp o donde la necesites.": "List copied. Paste it into WhatsApp or wherever you need it.",
+      "Ingrediente": "Ingredient",
+      "Necesario": "Needed",
+      "Unidad": "Unit",
+      "Envases": "Packages",
+      "Tamaño envase": "Package size",
+      "Comprar": "Buy",
+      "Costo estimado": "Estimated cost",
+      "Recetas": "Recipes",
+      "Total estimado": "Estimated total",
+      "¿Cuántos lotes de “{name}” se produjeron?": "How many batches of “{name}” were made?",
+      "Indica un número de lotes mayor que 0.": "Enter a number of batches greater than 0.",
+      "Ningún ingrediente de esta receta tiene stock registrado. Indica el stock en Ingredientes.": "No ingredient in this recipe has stock recorded. Enter stock under Ingredients.",
+      "No alcanza el stock de: {names}.\n¿Descontar igual? Quedará en negativo.": "Not enough stock of: {names}.\nDeduct anyway? It will go negative.",
+      "Stock descontado por {count} lote(s) de “{name}”:": "Stock deducted for {count} batch(es) of “{name}”:",
+      "• {name}: −{qty} (quedan {left})": "• {name}: −{qty} ({left} left)",
+      "Sin stock registrado: {names}": "No stock recorded: {names}",
+      "Stock bajo: {names}": "Low stock: {names}",
+      "No se puede convertir {from} a {to}.": "Can't convert {from} to {to}.",
+      "Registrar compra: {name}": "Record purchase: {name}",
+      "Indica la cantidad comprada.": "Enter the quantity bought.",
+      "Valor del inventario": "Inventory value",
+      "{count} ingrediente(s) con stock registrado.": "{count} ingredient(s) with stock recorded.",
+      "mín.": "min.",
+      "Elige la receta vendida.": "Choose the recipe sold.",
+      "Indica las unidades vendidas.": "Enter the units sold.",
+      "Elige la fecha de la venta.": "Choose the sale date.",
+      "Sem. {date}": "Wk. {date}",
+      "Ingresos y ganancia por período": "Revenue and profit per period",
+      "¿Eliminar la venta de {units} × “{name}” ({date})?": "Delete the sale of {units} × “{name}” ({date})?",
+      "Ingresos": "Revenue",
+      "Costo de ventas": "Cost of sales",
+      "Ganancia bruta": "Gross profit",
+      "Margen": "Margin",
+      "Sin ventas en el período.": "No sales in this period.",
+      "Aún no hay ventas registradas.": "No sales recorded yet.",
+      "Pedido #{n}": "Order #{n}",
+      "Pedido incompleto (cliente, fecha o recetas); se omitió.": "Incomplete order (customer, date or recipes); skipped.",
+      "Venta #{n}": "Sale #{n}",
+      "Venta incompleta (receta, fecha o unidades); se omitió.": "Incomplete sale (recipe, date or units); skipped.",
+      "JSON inválido.": "Invalid JSON.",
+      "Aparece más de una vez en el archivo; se usó la primera.": "Appears more than once in the file; the first one was used.",
+      "Receta sin nombre.": "Recipe without a name.",
+      "No tiene una lista de ingredientes válida.": "Has no valid ingredient list.",
+      "{count} fila(s) sin ingrediente se omitieron.": "{count} row(s) without an ingredient were skipped.",
+      "JSON inválido o versión no soportada.": "Invalid JSON or unsupported version.",
+      "No hay items válidos para importar.": "No valid items to import.",
+      "cantidad {from} → {to}": "quantity {from} → {to}",
+      "costo {from} → {to}": "cost {from} → {to}",
+      "{fresh} nueva(s), {changed} con cambios, {same} sin cambios": "{fresh} new, {changed} changed, {same} unchanged",
+      ", {count} aviso(s)": ", {count} warning(s)",
+      "Actualizar catálogo de ingredientes ({added} nuevo(s), {changed} con otro precio)": "Update the ingredient catalog ({added} new, {changed} with another price)",
+      "Usar los ajustes globales del archivo": "Use the file's global settings",
+      "Agregar pedidos ({count} nuevo(s))": "Add orders ({count} new)",
+      "Agregar ventas ({count} nueva(s))": "Add sales ({count} new)",
+      "Nuevas ({count})": "New ({count})",
+      "{count} ingrediente(s)": "{count} ingredient(s)",
+      "Con cambios ({count})": "Changed ({count})",
+      "Para todas": "For all",
+      "Mantener la mía": "Keep mine",
+      "Usar la del archivo": "Use the file's",
+      "Importar como copia": "Import as a copy",
+      "Ver diferencias ({count})": "Show differences ({count})",
+      "Sin cambios ({count})": "Unchanged ({count})",
+      "Avisos": "Warnings",
+      "No se pudo guardar.": "Could not be saved.",
+      "Importación completada.": "Import complete.",
+      "Nuevas: {count}": "New: {count}",
+      "Reemplazadas: {names}": "Replaced: {names}",
+      "Importadas como copia: {names}": "Imported as a copy: {names}",
+      "Se mantuvo la versión local: {count}": "Local version kept: {count}",
+      "Sin cambios: {count}": "Unchanged: {count}",
+      "Pedidos agregados: {count}": "Orders added: {count}",
+      "Ventas agregadas: {count}": "Sales added: {count}",
+      "Problemas:": "Problems:",
+      "Aún no hay versiones. Presiona Guardar para crear la primera.": "No versions yet. Press Save to create the first one.",
+      "Guardar": "Save",
+      "Importación": "Import",
+      "Restaurar esta versión": "Restore this version",
+      "Actual": "Current",
+      "Costo ingredientes": "Ingredient cost",
+      "Cant. A": "Qty A",
+      "Cant. B": "Qty B",
+      "Costo A": "Cost A",
+      "Costo B": "Cost B",
+      "Diferencia": "Difference",
+      "¿Restaurar la versión del {date}? Los cambios actuales se pueden deshacer con Ctrl+Z.": "Restore the version from {date}? Current changes can be undone with Ctrl+Z.",
+      "No se pudieron cargar los datos guardados.": "Saved data could not be loaded.",
+      "No se pudo exportar. Intenta nuevamente.": "Export failed. Please try again.",
+      "JSON inválido o incompatible.": "Invalid or incompatible JSON.",
+      "No se pudo importar: {detail}": "Import failed: {detail}",
+      "No se pudo generar el CSV. Intenta nuevamente.": "The CSV could not be created. Please try again.",
+      "No se pudo guardar la receta. Intenta nuevamente.": "The recipe could not be saved. Please try again.",
+      "No se pudo completar la acción. Intenta nuevamente.": "The action could not be completed. Please try again.",
+      "No se puede usar esa receta: terminaría incluyéndose a sí misma.": "That recipe can't be used: it would end up including itself.",
+      "Cerrar": "Close",
+      "Buscar": "Search",
+      "Buscar receta…": "Search recipe…",
+      "Solo favoritas": "Favorites only",
+      "Etiqueta": "Tag",
+      "Tip: escribe para filtrar por nombre.": "Tip: type to filter by name.",
+      "Nueva Receta (ej. Kuchen)": "New recipe (e.g. Kuchen)",
+      "Crear": "Create",
+      "Tip: Abre una receta, luego presiona": "Tip: Open a recipe, then press",
+      "para almacenar ingredientes.": "to store ingredients.",
+      "Receta actual": "Current recipe",
+      "ej. Tortas": "e.g. Cakes",
+      "ej. sin gluten, temporada": "e.g. gluten-free, seasonal",
+      "Papelera (": "Trash (",
+      "Vaciar papelera": "Empty trash",
+      "Abrir menú": "Open menu",
+      "Resumen": "Summary",
+      "Pedidos": "Orders",
+      "Compras": "Shopping",
+      "Ventas": "Sales",
+      "Calculadora de Costos": "Cost Calculator",
+      "Ingrediente → Costo Unitario → Costo Receta": "Ingredient → Unit Cost → Recipe Cost",
+      "Configuración": "Settings",
+      "Ajustes": "Settings",
+      "Informe de precios": "Price report",
+      "Exportar recetas (JSON)": "Export recipes (JSON)",
+      "Importar recetas (JSON)": "Import recipes (JSON)",
+      "Resumen de recetas": "Recipe summary",
+      "Busca, filtra por favoritas y revisa costos rápidamente.": "Search, filter by favorites and check costs at a glance.",
+      "Filtrar por etiqueta": "Filter by tag",
+      "Agrupar por categoría": "Group by category",
+      "Columnas": "Columns",
+      "Descargar CSV": "Download CSV",
+      "Catálogo compartido: un cambio de precio se aplica a todas las recetas que lo usan.": "Shared catalog: a price change applies to every recipe that uses it.",
+      "Buscar ingrediente…": "Search ingredient…",
+      "Ingrediente (ej. Harina)": "Ingredient (e.g. Flour)",
+      "Costo": "Cost",
+      "Cantidad": "Quantity",
+      "+ Añadir": "+ Add",
+      "Mínimo": "Minimum",
+      "Cantidades en unidades de cada receta; los lotes salen de su cantidad final.": "Quantities in each recipe's units; batches come from its final quantity.",
+      "Mostrar entregados": "Show delivered",
+      "+ Nuevo pedido": "+ New order",
+      "Cliente": "Customer",
+      "Fecha de entrega": "Due date",
+      "Notas (opcional)": "Notes (optional)",
+      "Lotes · costo → precio": "Batches · cost → price",
+      "+ Receta": "+ Recipe",
+      "Cancelar": "Cancel",
+      "Guardar pedido": "Save order",
+      "Entrega": "Due",
+      "Detalle": "Details",
+      "Precio": "Price",
+      "Ganancia": "Profit",
+      "Producción para pedidos pendientes": "Production for pending orders",
+      "Lotes": "Batches",
+      "Primera entrega": "First delivery",
+      "Suma los ingredientes de las recetas elegidas y redondea al envase de compra.": "Adds up the ingredients of the chosen recipes and rounds to the purchase package.",
+      "Desde pedidos": "From orders",
+      "Vaciar": "Clear",
+      "Lotes por receta": "Batches per recipe",
+      "Total estimado:": "Estimated total:",
+      "Compartir lista": "Share list",
+      "El costo de cada venta es el costo por unidad de la receta el día que se registró.": "Each sale's cost is the recipe's unit cost on the day it was recorded.",
+      "Agrupar por": "Group by",
+      "Por semana": "Weekly",
+      "Por mes": "Monthly",
+      "Período": "Period",
+      "Registrar venta": "Record sale",
+      "Fecha": "Date",
+      "Precio por unidad": "Unit price",
+      "Canal (ej. Feria)": "Channel (e.g. Fair)",
+      "+ Registrar": "+ Record",
+      "Más vendidas": "Best sellers",
+      "Más rentables": "Most profitable",
+      "Canal": "Channel",
+      "Valores por defecto para las recetas que no definen los suyos.": "Defaults for recipes that don't set their own.",
+      "Costos indirectos": "Overhead costs",
+      "Horno: gas/electricidad ($/hora)": "Oven: gas/electricity ($/hour)",
+      "Papelera": "Trash",
+      "Eliminar definitivamente después de (días)": "Delete permanently after (days)",
+      "0 = conservar hasta vaciar la papelera manualmente.": "0 = keep until the trash is emptied manually.",
+      "Precios": "Prices",
+      "Cálculo del precio": "Price calculation",
+      "Recargo sobre el costo": "Markup on cost",
+      "Margen sobre el precio de venta": "Margin on sale price",
+      "Incluir IVA": "Include VAT",
+      "Redondeo": "Rounding",
+      "Sin redondeo extra (según la moneda)": "No extra rounding (per currency)",
+      "Al 10 más cercano": "To the nearest 10",
+      "Al 100 más cercano": "To the nearest 100",
+      "Al 500 más cercano": "To the nearest 500",
+      "Siempre hacia arriba (10)": "Always up (10)",
+      "Siempre hacia arriba (100)": "Always up (100)",
+      "Siempre hacia arriba (500)": "Always up (500)",
+      "Terminado en 990": "Ending in 990",
+      "Recargo: precio = costo × (1 + %). Margen: el % es la ganancia dentro del precio de venta, precio = costo ÷ (1 − %).": "Markup: price = cost × (1 + %). Margin: the % is the profit within the sale price, price = cost ÷ (1 − %).",
+      "Idioma y moneda": "Language and currency",
+      "Idioma": "Language",
+      "Moneda": "Currency",
+      "Peso chileno (CLP)": "Chilean peso (CLP)",
+      "Dólar (USD)": "Dollar (USD)",
+      "Símbolo": "Symbol",
+      "Decimales": "Decimals",
+      "Separador de miles": "Thousands separator",
+      "El separador decimal es la coma, salvo con el separador de miles “,”.": "The decimal separator is the comma, except with the “,” thousands separator.",
+      "Datos": "Data",
+      "Copia de los datos de la versión anterior": "Copy of the data from the previous version",
+      "Descargar": "Download",
+      "Se guardó una sola vez al pasar al nuevo formato de almacenamiento.": "Saved once when moving to the new storage format.",
+      "Cómo cambiaron los precios de los ingredientes y cuánto subió cada receta.": "How ingredient prices changed and how much each recipe went up.",
+      "Últimos 30 días": "Last 30 days",
+      "Últimos 90 días": "Last 90 days",
+      "Últimos 6 meses": "Last 6 months",
+      "Último año": "Last year",
+      "Recetas con margen bajo": "Recipes with low margin",
+      "Precio final del último Guardar comparado con el costo de hoy.": "Final price from the last Save compared with today's cost.",
+      "Precio guardado": "Saved price",
+      "Costo actual": "Current cost",
+      "Margen real": "Actual margin",
+      "Precio sugerido": "Suggested price",
+      "Aumento de costo por receta": "Cost increase per recipe",
+      "Costo al inicio": "Starting cost",
+      "Variación": "Change",
+      "Tendencia de ingredientes": "Ingredient trends",
+      "Precio al inicio": "Starting price",
+      "Precio actual": "Current price",
+      "Tendencia": "Trend",
+      "Costo Unitario": "Unit Cost",
+      "Costo Receta": "Recipe Cost",
+      "Usar otra receta como ingrediente": "Use another recipe as an ingredient",
+      "+ Sub-receta": "+ Sub-recipe",
+      "Deshacer (Ctrl+Z)": "Undo (Ctrl+Z)",
+      "Deshacer": "Undo",
+      "Rehacer (Ctrl+Shift+Z)": "Redo (Ctrl+Shift+Z)",
+      "Rehacer": "Redo",
+      "Se aplica sobre el costo total (ingredientes + indirectos). Precio final redondeado al entero.": "Applied to the total cost (ingredients + overhead). Final price rounded to the unit.",
+      "Precio Final": "Final Price",
+      "Precio neto": "Net price",
+      "IVA": "VAT",
+      "Mano de obra": "Labor",
+      "$/hora (vacío = valor de Ajustes)": "$/hour (empty = Settings value)",
+      "Horno": "Oven",
+      "Empaque por unidad": "Packaging per unit",
+      "$/unidad (vacío = valor de Ajustes)": "$/unit (empty = Settings value)",
+      "Empaque": "Packaging",
+      "Cantidad final": "Final quantity",
+      "unidades": "units",
+      "Costo por unidad": "Cost per unit",
+      "Descuenta del stock los ingredientes de los lotes producidos": "Deducts the ingredients of the batches made from stock",
+      "Producir lote": "Make batch",
+      "Historial (": "History (",
+      "Se guarda una versión cada vez que presionas Guardar o importas la receta. Al restaurar, los ingredientes del catálogo mantienen su precio actual.": "A version is saved each time you press Save or import the recipe. When restoring, catalog ingredients keep their current price.",
+      "Origen": "Source",
+      "Comparar": "Compare",
+      "Versión A": "Version A",
+      "con": "with",
+      "Versión B": "Version B",
+      "En iPhone: Safari → Compartir → Agregar a pantalla de inicio.": "On iPhone: Safari → Share → Add to Home Screen.",
+      "Importar recetas": "Import recipes",
+      "Importar": "Import",
+      "Cantidad comprada": "Quantity bought",
+      "Total pagado (vacío = mantener precio)": "Total paid (empty = keep price)",
+      "Total pagado": "Total paid",
+      "Registrar": "Record",
+      "Actualización disponible": "Update available",
+      "Actualizar": "Update",
+      "Proveedor preferido": "Preferred supplier",
+      "Más reciente": "Most recent",
+      "Más barato por unidad": "Cheapest per unit",
+      "Proveedores: {name}": "Suppliers: {name}",
+      "Proveedor": "Supplier",
+      "Sin ofertas: se usa el precio del catálogo.": "No offers: the catalog price is used.",
+      "Oferta en uso ({rule})": "Offer in use ({rule})",
+      "Regla: {rule}. Se cambia en Proveedores.": "Rule: {rule}. Change it under Suppliers.",
+      "— Proveedor —": "— Supplier —",
+      "Aún no hay ofertas de proveedores. Agrégalas con el botón Proveedores de cada ingrediente.": "No supplier offers yet. Add them with each ingredient's Supplier button.",
+      "Sin oferta de este proveedor (precio actual): {names}": "Not offered by this supplier (current price): {names}",
+      "Precio de la oferta elegida. Edítalo en Proveedores.": "Price of the chosen offer. Edit it under Suppliers.",
+      "Sin nombre": "No name",
+      "+ Proveedor": "+ Supplier",
+      "Proveedores": "Suppliers",
+      "Cuánto costaría cada receta comprando todo a un solo proveedor.": "What each recipe would cost buying everything from a single supplier.",
+      "Oferta que se usa": "Offer used",
+      "La regla elige qué oferta fija el precio de cada ingrediente. Sin oferta del proveedor preferido se usa la más barata; ⚠ indica ingredientes que ese proveedor no ofrece (se cuentan a su precio actual).": "The rule picks which offer sets each ingredient's price. Without an offer from the preferred supplier the cheapest is used; ⚠ marks ingredients that supplier doesn't offer (counted at their current price).",
+      "Proveedor (opcional)": "Supplier (optional)",
+      "+ Oferta": "+ Offer",
+      "Listo": "Done",
+      "Merma %": "Waste %",
+      "Merma": "Waste",
+      "Incluye merma": "Includes waste",
+      "Parte que se pierde al limpiar, pelar o en el bol": "Share lost to trimming, peeling or left in the bowl",
+      "Merma % (vacío = valor del ingrediente)": "Waste % (empty = ingredient default)",
+      "Merma por defecto al usarlo en una receta": "Default waste when used in a recipe",
+      "merma {from} → {to}": "waste {from} → {to}",
+      "Energía": "Energy",
+      "Proteínas": "Protein",
+      "Grasas": "Fat",
+      "Carbohidratos": "Carbohydrates",
+      "Azúcares": "Sugars",
+      "Sodio": "Sodium",
+      "Lactosa": "Lactose",
+      "Huevo": "Egg",
+      "Frutos secos": "Nuts",
+      "Soya": "Soy",
+      "⚠ Sin datos nutricionales: {names}. Los valores no los incluyen.": "⚠ No nutrition data: {names}. The values leave them out.",
+      "Contiene: {list}": "Contains: {list}",
+      "Sin alérgenos marcados": "No allergens flagged",
+      "Unidad ≈ {g} g": "Unit ≈ {g} g",
+      "Porción: 1 unidad (≈ {g} g)": "Serving: 1 unit (≈ {g} g)",
+      "Por 100 g": "Per 100 g",
+      "Por porción": "Per serving",
+      "Ingredientes:": "Ingredients:",
+      "Nutrición: {name}": "Nutrition: {name}",
+      "Nutrición y alérgenos": "Nutrition and allergens",
+      "Sin datos nutricionales": "No nutrition data",
+      "Nutriente": "Nutrient",
+      "Por unidad": "Per unit",
+      "Nutrición": "Nutrition",
+      "Valores por 100 g (o 100 ml). Deja todo vacío si no tienes los datos.": "Values per 100 g (or 100 ml). Leave everything empty if you don't have the data.",
+      "Gramos por unidad (si se usa por unidad)": "Grams per unit (if used by the unit)",
+      "Alérgenos": "Allergens",
+      "Imprimir": "Print",
+      "Margen resultante": "Resulting margin",
+      "Recargo resultante": "Resulting markup",
+      "Costo máximo del lote (a {pct}%)": "Max batch cost (at {pct}%)",
+      "Viable: el lote cuesta {cost}, {slack} por debajo del máximo.": "Viable: the batch costs {cost}, {slack} under the maximum.",
+      "Ni con ingredientes gratis se llega: los costos indirectos ({overhead}) ya superan el máximo.": "Not reachable even with free ingredients: overhead ({overhead}) already exceeds the maximum.",
+      "Los ingredientes deben bajar {gap} en total: un {pct}% cada uno.": "Ingredients must drop {gap} in total: {pct}% each.",
+      "Con ese precio no queda ganancia; revisa los costos antes de aplicarlo.": "That price leaves no profit; check the costs before applying it.",
+      "Precio objetivo por unidad": "Target price per unit",
+      "Precio que paga el cliente (con IVA si está activo)": "Price the customer pays (with VAT if enabled)",
+      "Costo máximo del lote": "Max batch cost",
+      "Presupuesto para ingredientes": "Ingredient budget",
+      "Hoy": "Today",
+      "Máximo": "Maximum",
+      "Usar este margen": "Use this margin",
+      "Formatos de venta": "Sale formats",
+      "Ej: porción": "E.g. slice",
+      "Sin formatos: se vende como la receta (rendimiento y margen de arriba).": "No formats: sold as the recipe (yield and margin above).",
+      "+ Formato": "+ Format",
+      "Formato": "Format",
+      "Unidades por lote": "Units per batch",
+      "Usa los ingredientes, la mano de obra y el horno del lote. Empaque o margen vacío = los de la receta.": "Uses the batch's ingredients, labor and oven. Empty packaging or margin = the recipe's.",
+      "Un renglón por formato": "One line per format",
+      "No se pudo completar la importación. Intenta nuevamente.": "The import could not be completed. Please try again.",
+    },
+  };
+
+  let lang = "es";
+
+  function setLang(code){
+    lang = Object.prototype.hasOwnProperty.call(LANGS, code) ? code : "es";
+    document.documentElement.lang = lang;
+  }
+
+  function getLang(){
+    return lang;
+  }
+
+  // For dates (numbers follow the currency settings instead)
+  function locale(){
+    return LOCALES[lang];
+  }
+
+  function t(src, params){
+    const table = TABLES[lang];
+    const s = (table && Object.prototype.hasOwnProperty.call(table, src)) ? table[src] : src;
+    if (!params) return s;
+    return s.replace(/\{(\w+)\}/g, (m, k) => Object.prototype.hasOwnProperty.call(params, k) ? String(params[k]) : m);
+  }
+
+  /* ---------- static markup ---------- */
+  const ATTRS = ["placeholder", "title", "aria-label"];
+  const textSources = new Map(); // text node -> Spanish text
+  const attrSources = new Map(); // element -> { attr: Spanish text }
+  let snapshotTaken = false;
+
+  function snapshot(root){
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const p = node.parentElement;
+        if (!p || p.closest("script, style, [data-no-i18n]")) return NodeFilter.FILTER_REJECT;
+        return node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      },
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()){
+      textSources.set(node, node.nodeValue.trim());
+    }
+    for (const el of root.querySelectorAll(ATTRS.map(a => `[${a}]`).join(","))){
+      const src = {};
+      for (const a of ATTRS) if (el.hasAttribute(a)) src[a] = el.getAttribute(a);
+      attrSources.set(el, src);
+    }
+    snapshotTaken = true;
+  }
+
+  // Text that app.js later replaces is dropped from the snapshot on the next pass
+  function translateDOM(){
+    if (!snapshotTaken) snapshot(document.body);
+    document.title = t("Calculadora de Costos");
+    for (const [node, src] of textSources){
+      if (!node.isConnected){
+        textSources.delete(node);
+        continue;
+      }
+      const cur = node.nodeValue;
+      const lead = cur.match(/^\s*/)[0];
+      const trail = cur.match(/\s*$/)[0];
+      node.nodeValue = lead + t(src) + trail;
+    }
+    for (const [el, src] of attrSources){
+      for (const a of Object.keys(src)) el.setAttribute(a, t(src[a]));
+    }
+  }
+
+  return { LANGS, setLang, getLang, locale, t, translateDOM };
+})();
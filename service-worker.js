@@ -0,0 +1,90 @@
+/**
+ * Dessert Cost Calculator — offline service worker
+ * - Precaches the app shell so the home-screen app opens without signal
+ * - One cache per release: VERSION must match the ?v= cache-bust in index.html
+ * - A new release installs next to the old one and waits until the page
+ *   confirms ("Actualización disponible") before taking over
+ */
+
+const VERSION = "20261019_i18n";
+const CACHE_PREFIX = "dessert-cost-";
+const CACHE_NAME = CACHE_PREFIX + VERSION;
+
+// Required: install fails if any of these can't be fetched
+const PRECACHE = [
+  "./",
+  "./index.html",
+  `./i18n.js?v=${VERSION}`,
+  `./storage.js?v=${VERSION}`,
+  `./app.js?v=${VERSION}`,
+  `./style.css?v=${VERSION}`,
+  "./manifest.webmanifest",
+  "./icon180.png",
+];
+
+// Referenced by index.html but optional (cached when present)
+const PRECACHE_OPTIONAL = [
+  "./favicon-16.png",
+  "./favicon-32.png",
+  "./icon-192.png",
+  "./icon-512.png",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // cache:"reload" skips the HTTP cache so a release never precaches stale files
+    await cache.addAll(PRECACHE.map(url => new Request(url, { cache: "reload" })));
+    await Promise.all(PRECACHE_OPTIONAL.map(async (url) => {
+      try{
+        const res = await fetch(new Request(url, { cache: "reload" }));
+        if (res.ok) await cache.put(url, res);
+      }catch{}
+    }));
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(
+      keys
+        .filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME)
+        .map(k => caches.delete(k))
+    );
+    await self.clients.claim();
+  })());
+});
+
+// Sent by the page when the user accepts the update prompt
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  if (new URL(req.url).origin !== self.location.origin) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+
+    const cached = await cache.match(req);
+    if (cached) return cached;
+
+    // Any page navigation falls back to the cached shell
+    if (req.mode === "navigate"){
+      const shell = await cache.match("./index.html");
+      try{
+        return await fetch(req);
+      }catch(err){
+        if (shell) return shell;
+        throw err;
+      }
+    }
+
+    const res = await fetch(req);
+    if (res.ok && res.type === "basic") cache.put(req, res.clone());
+    return res;
+  })());
+});
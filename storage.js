@@ -0,0 +1,470 @@
+/**
+ * Dessert Cost Calculator — storage layer
+ * - One IndexedDB database: recipes, rows, ingredients, settings (+ revisions, orders, sales)
+ * - Everything is read into memory on open(), so the app keeps a synchronous API;
+ *   writes update memory right away and are flushed to IndexedDB in the background
+ * - Numbered migrations bring in the data of older versions (localStorage keys and
+ *   the old `recipe_items` store); a one-time backup of that data is kept
+ * - Without IndexedDB (private mode, old browsers) the same stores live in localStorage
+ */
+const AppStore = (() => {
+  const DB_NAME = "dessert_cost_db";
+  const DB_VER  = 4; // 2: revisions store, 3: orders store, 4: sales store
+  const STORES = {
+    recipes: "name",      // { name, meta }
+    rows: "recipe",       // { recipe, rows:[...] }
+    ingredients: "id",    // { id, name, cost, amount, unit, priceHistory:[{date, cost, amount, unit}], stock?, minStock? }
+    settings: "key",      // { key, value }
+    revisions: "id",      // { id, recipe, createdAt, source, rows, settings, totals }
+    orders: "id",         // { id, customer, dueDate, notes, status, lines:[{recipe, qty}], createdAt }
+    sales: "id",          // { id, date, recipe, units, price, channel, unitCost, createdAt }
+  };
+  const FALLBACK_PREFIX = "dessert_store_v1__";
+
+  // Data of older versions (read only by the migrations below)
+  const LEGACY = {
+    currentRecipe: "dessert_current_recipe_v2",
+    rowsPrefix: "dessert_rows__v2__",
+    ingredientCache: "dessert_ingredient_cache_v2", // { [name]: { cost, amount } }
+    catalog: "dessert_ingredient_catalog_v1",
+    marginPct: "dessert_margin_pct_v2",
+    cleanedTemplate: "dessert_cleaned_legacy_template_v2",
+    meta: "dessert_recipe_meta_v1",
+    settings: "dessert_settings_v1",
+    trash: "dessert_trash_v1",
+    dbName: "dessert_profiles_db_v2",
+    dbStore: "recipe_items", // { key, recipeName, Ingredient, RecipeAmmount, RecipeUnit, SubRecipe }
+  };
+
+  let db = null;
+  let opened = false;
+  const mem = {};
+  const dirty = {};
+  for (const s of Object.keys(STORES)){ mem[s] = new Map(); dirty[s] = new Set(); }
+  let flushTimer = null;
+  let flushing = Promise.resolve();
+
+  const clone = (v) => (v === undefined) ? undefined : JSON.parse(JSON.stringify(v));
+
+  /* ---------- backends ---------- */
+  function idbOpen(){
+    return new Promise((resolve, reject) => {
+      if (!("indexedDB" in window)) return reject(new Error("IndexedDB not available"));
+      const req = indexedDB.open(DB_NAME, DB_VER);
+      req.onupgradeneeded = () => {
+        const d = req.result;
+        for (const [name, keyPath] of Object.entries(STORES)){
+          if (!d.objectStoreNames.contains(name)) d.createObjectStore(name, { keyPath });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function idbReadAll(name){
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(name, "readonly").objectStore(name).getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function idbWrite(batch){
+    return new Promise((resolve, reject) => {
+      const names = Object.keys(batch);
+      if (!names.length) return resolve();
+      const tx = db.transaction(names, "readwrite");
+      for (const name of names){
+        const store = tx.objectStore(name);
+        for (const [key, value] of batch[name]){
+          if (value === undefined) store.delete(key);
+          else store.put(value);
+        }
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function lsReadAll(name){
+    try{
+      const arr = JSON.parse(localStorage.getItem(FALLBACK_PREFIX + name) || "[]");
+      return Array.isArray(arr) ? arr : [];
+    }catch{
+      return [];
+    }
+  }
+
+  function lsWrite(batch){
+    for (const name of Object.keys(batch)){
+      localStorage.setItem(FALLBACK_PREFIX + name, JSON.stringify(Array.from(mem[name].values())));
+    }
+  }
+
+  /* ---------- write-behind ---------- */
+  function markDirty(name, key){
+    dirty[name].add(key);
+    if (!opened || flushTimer) return;
+    flushTimer = setTimeout(() => { flushTimer = null; flush().catch(() => {}); }, 0);
+  }
+
+  function put(name, value){
+    const key = value[STORES[name]];
+    mem[name].set(key, clone(value));
+    markDirty(name, key);
+  }
+
+  function del(name, key){
+    if (!mem[name].has(key)) return;
+    mem[name].delete(key);
+    markDirty(name, key);
+  }
+
+  // Resolves once every pending write has reached the backend
+  function flush(){
+    if (flushTimer){ clearTimeout(flushTimer); flushTimer = null; }
+    flushing = flushing.catch(() => {}).then(async () => {
+      const batch = {};
+      for (const name of Object.keys(dirty)){
+        if (!dirty[name].size) continue;
+        batch[name] = Array.from(dirty[name]).map(k => [k, mem[name].get(k)]);
+        dirty[name].clear();
+      }
+      try{
+        if (db) await idbWrite(batch);
+        else lsWrite(batch);
+      }catch(err){
+        // Keep them dirty so the next flush retries
+        for (const name of Object.keys(batch)){
+          for (const [k] of batch[name]) dirty[name].add(k);
+        }
+        console.error("Storage write failed:", err);
+        throw err;
+      }
+    });
+    return flushing;
+  }
+
+  /* ---------- migrations ---------- */
+  function readLegacyJSON(key){
+    try{
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    }catch{
+      return null;
+    }
+  }
+
+  function normName(s){
+    return String(s || "").trim().toLowerCase()
+      .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/\s+/g, " ");
+  }
+
+  function legacyLocalStorageKeys(){
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++){
+      const k = localStorage.key(i);
+      if (k && k.startsWith("dessert_") && !k.startsWith(FALLBACK_PREFIX)) keys.push(k);
+    }
+    return keys;
+  }
+
+  // Items of the old IndexedDB store; [] when that database never existed
+  function readLegacyRecipeItems(){
+    return new Promise((resolve) => {
+      if (!("indexedDB" in window)) return resolve([]);
+      let req;
+      try{ req = indexedDB.open(LEGACY.dbName); }catch{ return resolve([]); }
+      // Fires only when the database doesn't exist yet: abort so it isn't created
+      req.onupgradeneeded = () => { try{ req.transaction.abort(); }catch{} };
+      req.onerror = () => resolve([]);
+      req.onsuccess = () => {
+        const old = req.result;
+        if (!old.objectStoreNames.contains(LEGACY.dbStore)){ old.close(); return resolve([]); }
+        const all = old.transaction(LEGACY.dbStore, "readonly").objectStore(LEGACY.dbStore).getAll();
+        all.onsuccess = () => { old.close(); resolve(all.result || []); };
+        all.onerror = () => { old.close(); resolve([]); };
+      };
+    });
+  }
+
+  function ensureRecipeRecord(name, meta){
+    if (!mem.recipes.has(name)) put("recipes", { name, meta: (meta && typeof meta === "object") ? meta : {} });
+  }
+
+  const MIGRATIONS = [
+    // 1: localStorage keys of v1/v2 (rows, meta, catalog or old price cache, settings, trash)
+    (legacy) => {
+      const rowsPrefix = LEGACY.rowsPrefix;
+      for (const k of Object.keys(legacy.localStorage)){
+        if (!k.startsWith(rowsPrefix)) continue;
+        const name = k.slice(rowsPrefix.length);
+        let rows = null;
+        try{ rows = JSON.parse(legacy.localStorage[k]); }catch{}
+        if (!name || !Array.isArray(rows)) continue;
+        put("rows", { recipe: name, rows });
+      }
+
+      const meta = readLegacyJSON(LEGACY.meta);
+      if (meta && typeof meta === "object"){
+        for (const name of Object.keys(meta)){
+          if (mem.rows.has(name)) put("recipes", { name, meta: meta[name] || {} });
+        }
+      }
+      for (const name of mem.rows.keys()) ensureRecipeRecord(name);
+
+      const catalog = readLegacyJSON(LEGACY.catalog);
+      if (catalog && typeof catalog === "object"){
+        for (const id of Object.keys(catalog)){
+          if (catalog[id] && typeof catalog[id] === "object") put("ingredients", { ...catalog[id], id });
+        }
+      }else{
+        // Never opened a version with the catalog: seed it from the price cache + rows
+        const seen = new Set();
+        const add = (name, cost, amount, unit) => {
+          const clean = String(name || "").trim();
+          const key = normName(clean);
+          if (!key || seen.has(key)) return;
+          seen.add(key);
+          const id = "ing_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+          put("ingredients", { id, name: clean, cost: Number(cost) || 0, amount: Number(amount) || 0, unit: unit || "g" });
+        };
+        const cache = readLegacyJSON(LEGACY.ingredientCache) || {};
+        for (const name of Object.keys(cache)) add(name, cache[name] && cache[name].cost, cache[name] && cache[name].amount);
+        for (const rec of mem.rows.values()){
+          for (const r of rec.rows){
+            if (!r || typeof r.subRecipe === "string") continue;
+            if (Number(r.cost) > 0 || Number(r.amount) > 0) add(r.name, r.cost, r.amount, r.unit);
+          }
+        }
+      }
+
+      const settings = readLegacyJSON(LEGACY.settings);
+      if (settings && typeof settings === "object") put("settings", { key: "settings", value: settings });
+      const trash = readLegacyJSON(LEGACY.trash);
+      if (Array.isArray(trash)) put("settings", { key: "trash", value: trash });
+      const current = localStorage.getItem(LEGACY.currentRecipe);
+      if (current) put("settings", { key: "currentRecipe", value: current });
+      const margin = localStorage.getItem(LEGACY.marginPct);
+      if (margin !== null) put("settings", { key: "marginPct", value: Number(margin) });
+      if (localStorage.getItem(LEGACY.cleanedTemplate) === "1") put("settings", { key: "cleanedLegacyTemplate", value: true });
+    },
+
+    // 2: recipes only saved in the old `recipe_items` store (ingredient + amount, no prices);
+    // their favorite/margin/yield/overhead may still be in the v1/v2 meta key
+    (legacy) => {
+      const meta = readLegacyJSON(LEGACY.meta) || {};
+      const byRecipe = new Map();
+      for (const it of legacy.recipeItems){
+        if (!it || typeof it.recipeName !== "string" || !it.recipeName.trim()) continue;
+        if (mem.rows.has(it.recipeName)) continue; // localStorage rows were the newer copy
+        if (!byRecipe.has(it.recipeName)) byRecipe.set(it.recipeName, []);
+        byRecipe.get(it.recipeName).push({
+          name: String(it.Ingredient || ""),
+          cost: 0,
+          amount: 0,
+          unit: "g",
+          recipeAmount: Number(it.RecipeAmmount) || 0,
+          recipeUnit: it.RecipeUnit || "g",
+          ingId: null,
+          subRecipe: it.SubRecipe ? String(it.Ingredient || "") : null,
+        });
+      }
+      for (const [name, rows] of byRecipe){
+        put("rows", { recipe: name, rows });
+        ensureRecipeRecord(name, meta[name]);
+      }
+    },
+
+    // 3: price history starts with the price each ingredient has today
+    () => {
+      const date = new Date().toISOString();
+      for (const ing of Array.from(mem.ingredients.values())){
+        if (Array.isArray(ing.priceHistory)) continue;
+        const hasPrice = Number(ing.cost) > 0 && Number(ing.amount) > 0;
+        const first = { date, cost: Number(ing.cost), amount: Number(ing.amount), unit: ing.unit || "g" };
+        put("ingredients", { ...ing, priceHistory: hasPrice ? [first] : [] });
+      }
+    },
+  ];
+
+  async function runMigrations(){
+    const from = Number(getSetting("schemaVersion", 0)) || 0;
+    if (from >= MIGRATIONS.length) return;
+
+    const legacyKeys = legacyLocalStorageKeys();
+    const legacy = { localStorage: {}, recipeItems: await readLegacyRecipeItems() };
+    for (const k of legacyKeys) legacy.localStorage[k] = localStorage.getItem(k);
+
+    if (!mem.settings.has("legacyBackup") && (legacyKeys.length || legacy.recipeItems.length)){
+      put("settings", { key: "legacyBackup", value: { createdAt: new Date().toISOString(), ...legacy } });
+    }
+
+    for (let v = from; v < MIGRATIONS.length; v++){
+      MIGRATIONS[v](legacy);
+      put("settings", { key: "schemaVersion", value: v + 1 });
+    }
+    await flush();
+
+    // Safe to drop: the data now lives in the stores and in the backup
+    for (const k of legacyKeys){
+      try{ localStorage.removeItem(k); }catch{}
+    }
+  }
+
+  /* ---------- public API ---------- */
+  async function open(){
+    if (opened) return;
+    try{
+      db = await idbOpen();
+    }catch(err){
+      console.warn("IndexedDB not available, using localStorage:", err);
+      db = null;
+    }
+    for (const name of Object.keys(STORES)){
+      const items = db ? await idbReadAll(name) : lsReadAll(name);
+      for (const it of items) mem[name].set(it[STORES[name]], it);
+    }
+    opened = true;
+    await runMigrations();
+
+    // Last chance for pending writes when the app goes to the background
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flush().catch(() => {});
+    });
+  }
+
+  function listRecipes(){
+    return Array.from(mem.rows.keys()).sort((a,b)=>a.localeCompare(b));
+  }
+
+  function getRows(name){
+    const rec = mem.rows.get(name);
+    return rec ? clone(rec.rows) : null;
+  }
+
+  function putRows(name, rows){
+    put("rows", { recipe: name, rows: rows || [] });
+    ensureRecipeRecord(name);
+  }
+
+  function getMeta(){
+    const out = {};
+    for (const [name, rec] of mem.recipes) out[name] = clone(rec.meta || {});
+    return out;
+  }
+
+  // Replaces the meta of every recipe in `meta`; recipes left out lose their meta
+  function putMeta(meta){
+    const m = meta || {};
+    for (const name of Object.keys(m)){
+      const prev = mem.recipes.get(name);
+      if (!prev || JSON.stringify(prev.meta) !== JSON.stringify(m[name])) put("recipes", { name, meta: m[name] });
+    }
+    for (const name of Array.from(mem.recipes.keys())){
+      if (!(name in m)) del("recipes", name);
+    }
+  }
+
+  function deleteRecipe(name){
+    del("rows", name);
+    del("recipes", name);
+  }
+
+  function getCatalog(){
+    const out = {};
+    for (const [id, ing] of mem.ingredients) out[id] = clone(ing);
+    return out;
+  }
+
+  // Saved price of one entry (no full clone; null for an unsaved entry)
+  function getIngredientPrice(id){
+    const ing = mem.ingredients.get(id);
+    return ing ? { cost: ing.cost, amount: ing.amount, unit: ing.unit } : null;
+  }
+
+  function putCatalog(cat){
+    const c = cat || {};
+    for (const id of Object.keys(c)){
+      const prev = mem.ingredients.get(id);
+      if (!prev || JSON.stringify(prev) !== JSON.stringify(c[id])) put("ingredients", { ...c[id], id });
+    }
+    for (const id of Array.from(mem.ingredients.keys())){
+      if (!(id in c)) del("ingredients", id);
+    }
+  }
+
+  function getSetting(key, fallback){
+    const rec = mem.settings.get(key);
+    return rec ? clone(rec.value) : fallback;
+  }
+
+  function setSetting(key, value){
+    put("settings", { key, value });
+  }
+
+  // Oldest first
+  function listRevisions(recipe){
+    return Array.from(mem.revisions.values())
+      .filter(r => r.recipe === recipe)
+      .sort((a,b)=>String(a.createdAt).localeCompare(String(b.createdAt)))
+      .map(clone);
+  }
+
+  function putRevision(rev){
+    put("revisions", rev);
+  }
+
+  function deleteRevision(id){
+    del("revisions", id);
+  }
+
+  // By due date, then creation
+  function listOrders(){
+    return Array.from(mem.orders.values())
+      .sort((a,b)=>String(a.dueDate).localeCompare(String(b.dueDate)) || String(a.createdAt).localeCompare(String(b.createdAt)))
+      .map(clone);
+  }
+
+  function putOrder(order){
+    put("orders", order);
+  }
+
+  function deleteOrder(id){
+    del("orders", id);
+  }
+
+  // Newest first
+  function listSales(){
+    return Array.from(mem.sales.values())
+      .sort((a,b)=>String(b.date).localeCompare(String(a.date)) || String(b.createdAt).localeCompare(String(a.createdAt)))
+      .map(clone);
+  }
+
+  function putSale(sale){
+    put("sales", sale);
+  }
+
+  function deleteSale(id){
+    del("sales", id);
+  }
+
+  function getLegacyBackup(){
+    return getSetting("legacyBackup", null);
+  }
+
+  return {
+    open, flush,
+    listRecipes, getRows, putRows, deleteRecipe,
+    getMeta, putMeta,
+    getCatalog, putCatalog, getIngredientPrice,
+    getSetting, setSetting,
+    listRevisions, putRevision, deleteRevision,
+    listOrders, putOrder, deleteOrder,
+    listSales, putSale, deleteSale,
+    getLegacyBackup,
+  };
+})();